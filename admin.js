@@ -0,0 +1,323 @@
+/**
+ * Admin API
+ *
+ * CRUD routes for the parts of faq.json that change most often (employees,
+ * careers, contact details), used by admin.html. Every change is validated
+ * against the knowledge base schema, written atomically and recorded in the
+ * change history (see knowledge-base.js); the agents pick up the new data on
+ * their next question. Contact requests and applications left in the chat
+ * (see leads.js) are listed here too.
+ *
+ * Requests must send `Authorization: Bearer <ADMIN_TOKEN>`. Without
+ * ADMIN_TOKEN set, the admin API is disabled.
+ */
+
+import express from "express";
+import { timingSafeEqual } from "crypto";
+import { FaqValidationError } from "./faq-schema.js";
+import { getFaqData, updateFaqData, getChangeHistory } from "./knowledge-base.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, isSupportedLanguage } from "./language.js";
+import { slugify } from "./citations.js";
+import { listApiKeys } from "./api-keys.js";
+import { FileLeadStore, LEAD_TYPES } from "./leads.js";
+import { recordRequestError } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const EMPLOYEE_FIELDS = ["name", "role", "area"];
+const CAREERS_FIELDS = { intro: "string", culture: "list", openRoles: "list" };
+const CONTACT_FIELDS = { email: "string", phone: "string", address: "string", social: "object" };
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AdminError";
+    this.status = status;
+  }
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({
+      error: "Admin disabled",
+      message: "Set ADMIN_TOKEN to enable the admin API",
+    });
+  }
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !tokensMatch(token, adminToken)) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Send the admin token as 'Authorization: Bearer <token>'",
+    });
+  }
+  next();
+}
+
+/**
+ * Language of the section to read or change (query or body, default "en")
+ */
+function requestLanguage(req) {
+  const lang = req.body?.lang || req.query.lang || DEFAULT_LANGUAGE;
+  if (!isSupportedLanguage(lang)) {
+    throw new AdminError(400, `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(", ")}`);
+  }
+  return lang;
+}
+
+/**
+ * Copy the allowed fields from the request body, checking their types.
+ * fields: { name: "string" | "list" | "object" }
+ */
+function pickFields(body, fields, { required = false } = {}) {
+  const values = {};
+
+  Object.entries(fields).forEach(([name, type]) => {
+    const value = body?.[name];
+    if (value === undefined) {
+      if (required) {
+        throw new AdminError(400, `"${name}" is required`);
+      }
+      return;
+    }
+
+    const valid =
+      (type === "string" && typeof value === "string" && value.trim().length > 0) ||
+      (type === "list" &&
+        Array.isArray(value) &&
+        value.every((item) => typeof item === "string" && item.trim().length > 0)) ||
+      (type === "object" && typeof value === "object" && value !== null && !Array.isArray(value));
+    if (!valid) {
+      const expected = { string: "a non-empty string", list: "a list of strings", object: "an object" };
+      throw new AdminError(400, `"${name}" must be ${expected[type]}`);
+    }
+
+    if (type === "string") {
+      values[name] = value.trim();
+    } else if (type === "list") {
+      values[name] = value.map((item) => item.trim());
+    } else {
+      values[name] = value;
+    }
+  });
+
+  if (Object.keys(values).length === 0) {
+    throw new AdminError(400, `Send at least one of: ${Object.keys(fields).join(", ")}`);
+  }
+  return values;
+}
+
+function withEmployeeId(employee) {
+  return { id: slugify(employee.name), ...employee };
+}
+
+function findEmployeeIndex(section, id) {
+  const index = section.employees.findIndex((emp) => slugify(emp.name) === id);
+  if (index === -1) {
+    throw new AdminError(404, `No employee with id "${id}"`);
+  }
+  return index;
+}
+
+function checkNameIsFree(section, name, exceptIndex = -1) {
+  const id = slugify(name);
+  if (section.employees.some((emp, i) => i !== exceptIndex && slugify(emp.name) === id)) {
+    throw new AdminError(409, `An employee named "${name}" already exists`);
+  }
+}
+
+/**
+ * Wrap a route handler: answers AdminError and schema errors as JSON
+ */
+function handle(route) {
+  return async (req, res) => {
+    try {
+      await route(req, res);
+    } catch (error) {
+      if (error instanceof AdminError) {
+        return res.status(error.status).json({ error: "Invalid request", message: error.message });
+      }
+      if (error instanceof FaqValidationError) {
+        const unreadable = error.errors.some((e) => e.path === "(file)");
+        return res.status(400).json({
+          error: "Invalid request",
+          message: unreadable
+            ? `The knowledge base ${error.file} can't be read`
+            : "The change would make the knowledge base invalid",
+          errors: error.errors,
+        });
+      }
+      recordRequestError(error);
+      res.status(500).json({ error: "Internal server error", message: error.message });
+    }
+  };
+}
+
+const employeeFields = Object.fromEntries(EMPLOYEE_FIELDS.map((name) => [name, "string"]));
+
+function createAdminRouter({ leadStore = new FileLeadStore() } = {}) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Employees
+  router.get(
+    "/employees",
+    handle((req, res) => {
+      const lang = requestLanguage(req);
+      res.json({ lang, employees: getFaqData()[lang].employees.map(withEmployeeId) });
+    })
+  );
+
+  router.post(
+    "/employees",
+    handle(async (req, res) => {
+      const lang = requestLanguage(req);
+      const employee = pickFields(req.body, employeeFields, { required: true });
+
+      await updateFaqData(
+        (raw) => {
+          checkNameIsFree(raw[lang], employee.name);
+          raw[lang].employees.push(employee);
+        },
+        { action: "employee.create", target: `${lang}:${slugify(employee.name)}` }
+      );
+      res.status(201).json({ lang, employee: withEmployeeId(employee) });
+    })
+  );
+
+  router.put(
+    "/employees/:id",
+    handle(async (req, res) => {
+      const lang = requestLanguage(req);
+      const changes = pickFields(req.body, employeeFields);
+
+      const employee = await updateFaqData(
+        (raw) => {
+          const index = findEmployeeIndex(raw[lang], req.params.id);
+          if (changes.name) {
+            checkNameIsFree(raw[lang], changes.name, index);
+          }
+          raw[lang].employees[index] = { ...raw[lang].employees[index], ...changes };
+          return raw[lang].employees[index];
+        },
+        { action: "employee.update", target: `${lang}:${req.params.id}` }
+      );
+      res.json({ lang, employee: withEmployeeId(employee) });
+    })
+  );
+
+  router.delete(
+    "/employees/:id",
+    handle(async (req, res) => {
+      const lang = requestLanguage(req);
+
+      await updateFaqData(
+        (raw) => {
+          raw[lang].employees.splice(findEmployeeIndex(raw[lang], req.params.id), 1);
+        },
+        { action: "employee.delete", target: `${lang}:${req.params.id}` }
+      );
+      res.status(204).end();
+    })
+  );
+
+  // Careers (intro, culture, open roles)
+  router.get(
+    "/careers",
+    handle((req, res) => {
+      const lang = requestLanguage(req);
+      res.json({ lang, careers: getFaqData()[lang].careers });
+    })
+  );
+
+  router.put(
+    "/careers",
+    handle(async (req, res) => {
+      const lang = requestLanguage(req);
+      const changes = pickFields(req.body, CAREERS_FIELDS);
+
+      await updateFaqData(
+        (raw) => {
+          raw[lang].careers = { ...raw[lang].careers, ...changes };
+        },
+        { action: "careers.update", target: lang }
+      );
+      res.json({ lang, careers: getFaqData()[lang].careers });
+    })
+  );
+
+  // Contact details (address lives in hq.address in faq.json)
+  router.get(
+    "/contact",
+    handle((req, res) => {
+      const lang = requestLanguage(req);
+      const section = getFaqData()[lang];
+      res.json({ lang, contact: { ...section.contact, address: section.hq.address } });
+    })
+  );
+
+  router.put(
+    "/contact",
+    handle(async (req, res) => {
+      const lang = requestLanguage(req);
+      const { address, ...changes } = pickFields(req.body, CONTACT_FIELDS);
+
+      await updateFaqData(
+        (raw) => {
+          raw[lang].contact = { ...raw[lang].contact, ...changes };
+          if (address !== undefined) {
+            raw[lang].hq = { ...raw[lang].hq, address };
+          }
+        },
+        { action: "contact.update", target: lang }
+      );
+      const section = getFaqData()[lang];
+      res.json({ lang, contact: { ...section.contact, address: section.hq.address } });
+    })
+  );
+
+  // Change history, most recent first
+  router.get(
+    "/history",
+    handle((req, res) => {
+      const limit = Math.min(Number(req.query.limit) || 50, 500);
+      res.json({ history: getChangeHistory({ limit }) });
+    })
+  );
+
+  // API keys with their settings and usage counters (manage them with npm run keys)
+  router.get(
+    "/api-keys",
+    handle((req, res) => {
+      res.json({ keys: listApiKeys() });
+    })
+  );
+
+  // Contact requests and applications from the chat, most recent first
+  router.get(
+    "/leads",
+    handle(async (req, res) => {
+      const { type } = req.query;
+      if (type !== undefined && !LEAD_TYPES.includes(type)) {
+        throw new AdminError(400, `Unknown lead type. Use one of: ${LEAD_TYPES.join(", ")}`);
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 500);
+      res.json({ leads: await leadStore.list({ type, limit }) });
+    })
+  );
+
+  return router;
+}
+
+export { createAdminRouter };
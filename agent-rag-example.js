@@ -6,9 +6,21 @@
  */
 
 import { createAgent } from "langchain";
-import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
-import { MemoryVectorStore } from "langchain/vectorstores/memory";
+import { createChatModel, createEmbeddings } from "./llm-provider.js";
+import { FileVectorStore } from "./vector-index.js";
 import { Document } from "@langchain/core/documents";
+import { getFaqData } from "./knowledge-base.js";
+import { getKnowledgeStore } from "./knowledge-db.js";
+import { tokenize } from "./keyword-index.js";
+import { streamAgentAnswer } from "./agent-streaming.js";
+import { buildRetrievalQuery } from "./session-store.js";
+import { ANSWER_INSTRUCTIONS, resolveLanguage } from "./language.js";
+import { CITATION_INSTRUCTIONS, documentId, buildCitedContext } from "./citations.js";
+import { findRelevantDocuments, getSearchDocuments } from "./agent-simple-rag.js";
+import { findSimilarDocuments } from "./agent-with-rag.js";
+import { logger, timed } from "./logger.js";
+import { retrieve, reciprocalRankFusion } from "./retrieval-pipeline.js";
+import { groundingInstructions, noRelevantDocuments, streamResult } from "./guardrails.js";
 import * as dotenv from "dotenv";
 
 dotenv.config();
@@ -24,18 +36,19 @@ dotenv.config();
  */
 
 async function runRAGAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
-  const embeddings = new OpenAIEmbeddings({ apiKey: process.env.OPEN_API_KEY });
+  const llm = createChatModel();
+  const embeddings = createEmbeddings();
 
   // STEP 1: Load data from database/file (this would be your DB query)
   const faqData = await loadDataFromDatabase(); // Simulated DB call
 
   // STEP 2: Convert documents to vector embeddings and store them
-  // In production, you'd do this once and persist the vector store
+  // The index is persisted, so only new or changed documents are embedded
   const documents = createDocumentsFromData(faqData);
-  const vectorStore = await MemoryVectorStore.fromDocuments(
+  const vectorStore = await FileVectorStore.fromDocuments(
     documents,
-    embeddings
+    embeddings,
+    { file: "vector-index.example.json" }
   );
 
   // STEP 3: Retrieve relevant context based on the question
@@ -79,26 +92,61 @@ Answer the question based on the context provided. Be concise and accurate.`;
 /**
  * APPROACH 2: Database Query with Filters
  *
- * Query your database directly based on keywords/categories
+ * Query the SQLite knowledge store (knowledge-db.js) directly: categories
+ * named in the question (employees, careers, contact, ...) narrow the
+ * search, and full-text search ranks the entries by the question's words.
+ * Same interface as the agents in server.js.
  */
-async function runDatabaseQueryAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
 
-  // Extract keywords or intent from question
-  const keywords = extractKeywords(question);
+// Entries put in the prompt
+const DATABASE_TOP_K = Number(process.env.DATABASE_TOP_K) || 5;
 
-  // Query database for relevant records
-  const relevantData = await queryDatabase({
-    keywords: keywords,
-    categories: extractCategories(question),
-    limit: 5,
+/**
+ * Search the knowledge store for a question in one language.
+ * Returns [{ id, type, content, score }], best match first
+ */
+function databaseSearch(query, { lang, topK = DATABASE_TOP_K } = {}) {
+  const rows = queryDatabase({
+    lang,
+    text: query,
+    categories: extractCategories(query, lang),
+    limit: topK,
   });
+  return rows.map(({ id, type, content, score }) => ({ id, type, content, score }));
+}
+
+async function prepareDatabaseAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
+
+  const results = await timed("retrievalMs", () =>
+    retrieve(buildRetrievalQuery(question, history), {
+      lang,
+      search: async (query, k) => databaseSearch(query, { lang, topK: k }),
+      topK: DATABASE_TOP_K,
+    })
+  );
+
+  // Nothing in the database matches: hand off instead of guessing
+  if (results.length === 0) {
+    return { refusal: noRelevantDocuments(lang) };
+  }
 
-  // Build context from database results
-  const context = buildContextFromDBResults(relevantData);
+  const { context, sources } = buildCitedContext(results);
+  const companyName = getFaqData()[lang].companyName;
 
-  const systemPrompt = `You are a helpful assistant. Use this information:
-${context}`;
+  const systemPrompt = `You are a helpful assistant for ${companyName}.
+
+Use the following context to answer questions.
+
+Context:
+${context}
+
+Answer questions about the company based on this context. Be helpful and accurate.
+${groundingInstructions(lang)}
+${CITATION_INSTRUCTIONS}
+${ANSWER_INSTRUCTIONS[lang]}`;
 
   const agent = createAgent({
     model: llm,
@@ -106,37 +154,134 @@ ${context}`;
     systemPrompt: systemPrompt,
   });
 
-  const response = await agent.invoke({
-    messages: [{ role: "user", content: question }],
-  });
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+    sources,
+  };
+}
+
+async function runDatabaseQueryAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareDatabaseAgent(question, options);
+  if (refusal) {
+    return refusal;
+  }
 
-  return extractAnswer(response);
+  const response = await agent.invoke({ messages });
+
+  return { answer: extractAnswer(response), sources };
+}
+
+async function* streamDatabaseQueryAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareDatabaseAgent(question, options);
+  if (refusal) {
+    yield* streamResult(refusal);
+    return;
+  }
+  yield* streamAgentAnswer(agent, messages, sources);
 }
 
 /**
  * APPROACH 3: Hybrid Search (Keyword + Semantic)
  *
- * Combine traditional database queries with vector search
+ * Combine keyword search (exact terms like ".NET" or a name) with vector
+ * search (similar meaning) and merge the two rankings with reciprocal rank
+ * fusion. Same interface as the agents in server.js:
+ * (question, { history, lang }) -> { answer, sources }
  */
-async function runHybridSearchAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
-  const embeddings = new OpenAIEmbeddings({ apiKey: process.env.OPEN_API_KEY });
 
-  // 1. Keyword search in database (fast, exact matches)
-  const keywordResults = await queryDatabaseByKeywords(question);
+// Candidates taken from each retriever, and documents kept after fusion
+const HYBRID_CANDIDATES = 10;
+const HYBRID_TOP_K = 5;
+
+/**
+ * Run both retrievers in the answer language and fuse their results
+ */
+async function hybridSearch(query, { lang, topK = HYBRID_TOP_K } = {}) {
+  // 1. Keyword search (fast, exact matches)
+  const keywordResults = findRelevantDocuments(query, getSearchDocuments(lang), {
+    lang,
+    topK: HYBRID_CANDIDATES,
+  });
+
+  // 2. Semantic search with vectors (slower, but finds similar meaning).
+  // Without a working embeddings provider we still answer from keywords.
+  let semanticResults = [];
+  try {
+    semanticResults = await findSimilarDocuments(query, { lang, k: HYBRID_CANDIDATES });
+  } catch (error) {
+    logger.warn("Vector search unavailable, using keyword results only", { error: error.message });
+  }
+
+  // 3. Combine, deduplicate by document id and keep the top results
+  return reciprocalRankFusion([keywordResults, semanticResults]).slice(0, topK);
+}
+
+async function prepareHybridAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
+
+  const results = await timed("retrievalMs", () =>
+    retrieve(buildRetrievalQuery(question, history), {
+      lang,
+      search: (query, k) => hybridSearch(query, { lang, topK: k }),
+      topK: HYBRID_TOP_K,
+    })
+  );
+
+  // Neither retriever found anything above its threshold: hand off instead of guessing
+  if (results.length === 0) {
+    return { refusal: noRelevantDocuments(lang) };
+  }
+
+  // 4. Build numbered context (and the sources) from the fused results
+  const { context, sources } = buildCitedContext(results);
+  const companyName = getFaqData()[lang].companyName;
+
+  const systemPrompt = `You are a helpful assistant for ${companyName}.
+
+Use the following context to answer questions.
+
+Context:
+${context}
+
+Answer questions about the company based on this context. Be helpful and accurate.
+${groundingInstructions(lang)}
+${CITATION_INSTRUCTIONS}
+${ANSWER_INSTRUCTIONS[lang]}`;
+
+  const agent = createAgent({
+    model: llm,
+    tools: [],
+    systemPrompt: systemPrompt,
+  });
 
-  // 2. Semantic search with vectors (slower, but finds similar meaning)
-  const semanticResults = await vectorSearch(question, embeddings);
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+    sources,
+  };
+}
 
-  // 3. Combine and deduplicate results
-  const combinedResults = mergeAndRankResults(keywordResults, semanticResults);
+async function runHybridSearchAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareHybridAgent(question, options);
+  if (refusal) {
+    return refusal;
+  }
 
-  // 4. Build context from top results
-  const context = buildContext(combinedResults.slice(0, 5));
+  const response = await agent.invoke({ messages });
 
-  const systemPrompt = `Answer based on: ${context}`;
+  return { answer: extractAnswer(response), sources };
+}
 
-  // ... rest of agent setup
+async function* streamHybridSearchAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareHybridAgent(question, options);
+  if (refusal) {
+    yield* streamResult(refusal);
+    return;
+  }
+  yield* streamAgentAnswer(agent, messages, sources);
 }
 
 // Helper functions
@@ -149,7 +294,11 @@ function createDocumentsFromData(data) {
   documents.push(
     new Document({
       pageContent: `Company: ${data.en.companyName}\nFounder: ${data.en.founder}\nTagline: ${data.en.tagline}\nStory: ${data.en.story}`,
-      metadata: { type: "company_info", source: "faq.json" },
+      metadata: {
+        id: documentId("en", "company_info"),
+        type: "company_info",
+        source: "faq.json",
+      },
     })
   );
 
@@ -157,8 +306,13 @@ function createDocumentsFromData(data) {
   data.en.employees.forEach((emp) => {
     documents.push(
       new Document({
-        pageContent: `Employee: ${emp.name}\nRole: ${emp.role}\nFocus: ${emp.inclination}`,
-        metadata: { type: "employee", name: emp.name, source: "faq.json" },
+        pageContent: `Employee: ${emp.name}\nRole: ${emp.role}\nFocus: ${emp.area}`,
+        metadata: {
+          id: documentId("en", "employee", emp.name),
+          type: "employee",
+          name: emp.name,
+          source: "faq.json",
+        },
       })
     );
   });
@@ -171,6 +325,7 @@ function createDocumentsFromData(data) {
           mission.text
         }\nTechnologies: ${mission.items.join(", ")}`,
         metadata: {
+          id: documentId("en", "mission", mission.title),
           type: "mission",
           category: mission.title,
           source: "faq.json",
@@ -182,63 +337,62 @@ function createDocumentsFromData(data) {
   return documents;
 }
 
-// Simulated database functions (replace with real DB queries)
+// Database functions (SQLite knowledge store, see knowledge-db.js)
 
 async function loadDataFromDatabase() {
-  // In production: const data = await db.query("SELECT * FROM faq_data");
-  const fs = await import("fs");
-  return JSON.parse(fs.readFileSync("faq.json", "utf8"));
+  return getKnowledgeStore().exportFaqData();
 }
 
-function extractKeywords(question) {
-  // Simple keyword extraction (in production, use NLP libraries)
-  const stopWords = [
-    "the",
-    "a",
-    "an",
-    "is",
-    "are",
-    "what",
-    "who",
-    "where",
-    "when",
-    "why",
-    "how",
-  ];
-  return question
-    .toLowerCase()
-    .split(/\s+/)
-    .filter((word) => word.length > 2 && !stopWords.includes(word));
-}
+// Words that point a question at a category of the knowledge store
+// ("work", "role" and "jobba" are too common: "who works with React?")
+const CATEGORY_WORDS = {
+  en: {
+    company: ["founder", "founded", "company", "story", "history", "tagline", "mission", "choose"],
+    employees: ["employee", "staff", "team", "people", "developer", "consultant", "colleague"],
+    mission: ["mission", "service", "offer", "technology", "expertise"],
+    careers: ["job", "career", "hiring", "apply", "application", "vacancy", "position", "opening", "culture"],
+    contact: ["contact", "email", "mail", "phone", "call", "address", "office", "reach", "located", "visit"],
+  },
+  sv: {
+    company: ["grundare", "grundade", "företaget", "historia", "slogan", "uppdrag", "välja"],
+    employees: ["anställda", "personal", "team", "utvecklare", "konsult", "kollega", "medarbetare"],
+    mission: ["uppdrag", "tjänster", "erbjuder", "teknik", "expertis"],
+    careers: ["karriär", "ansöka", "ansökan", "tjänst", "lediga", "rekryterar", "kultur"],
+    contact: ["kontakt", "kontakta", "e-post", "mejl", "telefon", "ringa", "adress", "kontor", "ligger", "besöka"],
+  },
+};
 
-function extractCategories(question) {
-  // Extract categories based on keywords
-  const categories = [];
-  if (
-    question.toLowerCase().includes("employee") ||
-    question.toLowerCase().includes("who")
-  ) {
-    categories.push("employees");
-  }
-  if (
-    question.toLowerCase().includes("mission") ||
-    question.toLowerCase().includes("what")
-  ) {
-    categories.push("mission");
-  }
-  return categories;
+/**
+ * Categories whose words (stemmed like the question) appear in the question
+ */
+function extractCategories(question, lang) {
+  const terms = new Set(tokenize(question, lang));
+  return Object.entries(CATEGORY_WORDS[lang])
+    .filter(([, words]) => tokenize(words.join(" "), lang).some((term) => terms.has(term)))
+    .map(([category]) => category);
 }
 
-async function queryDatabase({ keywords, categories, limit }) {
-  // Simulated: SELECT * FROM faq WHERE category IN (...) AND content LIKE '%keyword%' LIMIT ?
-  // In production, use your actual database (PostgreSQL, MongoDB, etc.)
+/**
+ * Full-text search within the question's categories first; if that finds
+ * nothing, in every category, and then just the categories' entries
+ */
+function queryDatabase({ lang, text, categories, limit }) {
+  const store = getKnowledgeStore();
+  const attempts = [
+    categories.length > 0 && { categories, text },
+    { text },
+    categories.length > 0 && { categories },
+  ].filter(Boolean);
+
+  for (const attempt of attempts) {
+    const rows = store.query({ lang, limit, ...attempt });
+    if (rows.length > 0) {
+      return rows;
+    }
+  }
   return [];
 }
 
-function buildContextFromDBResults(results) {
-  return results.map((r) => `${r.title}: ${r.content}`).join("\n");
-}
-
 function extractAnswer(response) {
   if (response.messages && response.messages.length > 0) {
     const lastMessage = response.messages[response.messages.length - 1];
@@ -247,4 +401,13 @@ function extractAnswer(response) {
   return "No answer generated.";
 }
 
-export { runRAGAgent, runDatabaseQueryAgent, runHybridSearchAgent };
+export {
+  runRAGAgent,
+  runDatabaseQueryAgent,
+  streamDatabaseQueryAgent,
+  databaseSearch,
+  runHybridSearchAgent,
+  streamHybridSearchAgent,
+  hybridSearch,
+  reciprocalRankFusion,
+};
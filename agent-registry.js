@@ -0,0 +1,109 @@
+/**
+ * Agent Strategies
+ *
+ * Every agent implements the same interface:
+ *
+ * - run(question, { history, lang }) -> Promise<{ answer, sources }>
+ *   (the tool-calling agent adds toolCalls: [{ name, args, result }])
+ * - stream(question, { history, lang }) -> async iterable of
+ *   { type: "sources", sources } and { type: "token", text } events
+ *   (plus { type: "tool", call } from the tool-calling agent)
+ *
+ * Every strategy is wrapped with the guardrails (see guardrails.js): a
+ * question that is handed off instead of answered gets the handoff message
+ * with `refused` set to the reason, and a streamed answer that fails the
+ * post-answer check ends with { type: "replace", text, refused }.
+ *
+ * The server picks the default strategy from AGENT_MODE and lets each
+ * request override it with a `mode` parameter, so strategies can be compared
+ * side by side on the same questions.
+ */
+
+import * as fullContextAgent from "./agent.js";
+import * as keywordAgent from "./agent-simple-rag.js";
+import * as vectorAgent from "./agent-with-rag.js";
+import * as toolsAgent from "./agent-with-tools.js";
+import {
+  runHybridSearchAgent,
+  streamHybridSearchAgent,
+  runDatabaseQueryAgent,
+  streamDatabaseQueryAgent,
+} from "./agent-rag-example.js";
+import { wrapRun, wrapStream } from "./guardrails.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const STRATEGIES = {
+  full: {
+    description: "Full context: the whole knowledge base in every prompt",
+    run: fullContextAgent.runFAQAgent,
+    stream: fullContextAgent.streamFAQAgent,
+  },
+  keyword: {
+    description: "BM25 keyword retrieval (no extra dependencies)",
+    run: keywordAgent.runFAQAgent,
+    stream: keywordAgent.streamFAQAgent,
+  },
+  vector: {
+    description: "Vector search over the embeddings index",
+    run: vectorAgent.runFAQAgent,
+    stream: vectorAgent.streamFAQAgent,
+  },
+  hybrid: {
+    description: "Keyword and vector search fused with reciprocal rank fusion",
+    run: runHybridSearchAgent,
+    stream: streamHybridSearchAgent,
+  },
+  tools: {
+    description: "Tool calling: the model looks up employees, roles and contacts itself",
+    run: toolsAgent.runFAQAgent,
+    stream: toolsAgent.streamFAQAgent,
+  },
+  database: {
+    description: "Category filters and full-text search in the SQLite knowledge store",
+    run: runDatabaseQueryAgent,
+    stream: streamDatabaseQueryAgent,
+  },
+};
+
+const GUARDED_STRATEGIES = Object.fromEntries(
+  Object.entries(STRATEGIES).map(([name, { description, run, stream }]) => [
+    name,
+    { description, run: wrapRun(run), stream: wrapStream(stream) },
+  ])
+);
+
+const AGENT_MODES = Object.keys(STRATEGIES);
+
+const DEFAULT_AGENT_MODE = process.env.AGENT_MODE || "keyword";
+
+// Only a string naming a strategy (not an array from a repeated query param)
+function isAgentMode(mode) {
+  return typeof mode === "string" && Object.hasOwn(STRATEGIES, mode);
+}
+
+/**
+ * Look up a strategy by mode (the configured default when mode is empty).
+ * Throws on unknown modes.
+ */
+function getAgentStrategy(mode) {
+  const name = mode || DEFAULT_AGENT_MODE;
+  if (!isAgentMode(name)) {
+    throw new Error(`Unknown agent mode "${name}". Use one of: ${AGENT_MODES.join(", ")}`);
+  }
+  return { name, ...GUARDED_STRATEGIES[name] };
+}
+
+/**
+ * Describe the strategies (for logging and /health)
+ */
+function getStrategyInfo() {
+  return {
+    mode: DEFAULT_AGENT_MODE,
+    description: STRATEGIES[DEFAULT_AGENT_MODE]?.description,
+    available: AGENT_MODES,
+  };
+}
+
+export { AGENT_MODES, DEFAULT_AGENT_MODE, isAgentMode, getAgentStrategy, getStrategyInfo };
@@ -1,141 +1,142 @@
 /**
  * Simple RAG Implementation (No Vector Store Required)
  * 
- * This version uses keyword-based search instead of vector embeddings.
+ * This version uses keyword-based search (BM25, see keyword-index.js)
+ * instead of vector embeddings.
  * Perfect for getting started without additional dependencies.
  */
 
 import { createAgent } from "langchain";
-import { ChatOpenAI } from "@langchain/openai";
-import * as fs from "fs";
+import { createChatModel } from "./llm-provider.js";
+import { streamAgentAnswer } from "./agent-streaming.js";
+import { buildRetrievalQuery } from "./session-store.js";
+import { ANSWER_INSTRUCTIONS, resolveLanguage } from "./language.js";
+import { getFaqData, createSearchDocuments, onFaqDataChange } from "./knowledge-base.js";
+import { KeywordIndex } from "./keyword-index.js";
+import { logger, timed } from "./logger.js";
+import { retrieve } from "./retrieval-pipeline.js";
+import { groundingInstructions, noRelevantDocuments, streamResult } from "./guardrails.js";
+import {
+  CITATION_INSTRUCTIONS,
+  buildCitedContext,
+  formatSourceList,
+} from "./citations.js";
 import * as dotenv from "dotenv";
 
 dotenv.config();
 
-// Cache the FAQ data
-let faqDataCache = null;
+// Retrieval settings for the keyword index
+const KEYWORD_TOP_K = Number(process.env.KEYWORD_TOP_K) || 5;
+// Minimum BM25 score for a document to count as relevant. Answerable questions
+// score above 2 on this knowledge base, a single incidental shared word ("a
+// story about a dragon") below 1.5. 0 turns the threshold off.
+const KEYWORD_MIN_SCORE = Number(process.env.KEYWORD_MIN_SCORE ?? 1.5);
 
-/**
- * Simple keyword-based search - finds documents containing question keywords
- */
-function findRelevantDocuments(question, documents) {
-  const questionLower = question.toLowerCase();
-  const questionWords = questionLower
-    .split(/\s+/)
-    .filter(word => word.length > 2)
-    .filter(word => !["the", "a", "an", "is", "are", "what", "who", "where", "when", "why", "how", "does", "do", "can", "could"].includes(word));
-
-  // Score each document based on keyword matches
-  const scoredDocs = documents.map(doc => {
-    const contentLower = doc.content.toLowerCase();
-    let score = 0;
-    
-    questionWords.forEach(word => {
-      if (contentLower.includes(word)) {
-        score += 1;
-      }
-    });
-    
-    return { ...doc, score };
-  });
+// One BM25 index per documents array, built with the documents (or on first
+// search for arrays from elsewhere)
+const keywordIndexes = new WeakMap();
 
-  // Sort by score and return top matches
-  return scoredDocs
-    .filter(doc => doc.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 5); // Top 5 matches
-}
+// Searchable documents per language, replaced as a whole when the knowledge base changes
+let documentsCache = new Map();
 
 /**
- * Create searchable documents from FAQ data
+ * Searchable documents for each of langs, with their keyword indexes built
  */
-function createDocumentsFromData(data) {
-  const documents = [];
-
-  // Company info document
-  documents.push({
-    content: `Company Name: ${data.en.companyName}
-Founder: ${data.en.founder}
-Co-founders: ${data.en["co-founders"].join(", ")}
-Mission Statement: ${data.en.missionStatement}
-Tagline: ${data.en.tagline}
-Story: ${data.en.story}`,
-    type: "company_info"
-  });
-
-  // Each employee as a document
-  data.en.employees.forEach((emp) => {
-    documents.push({
-      content: `Employee: ${emp.name}
-Role: ${emp.role}
-Area: ${emp.area}`,
-      type: "employee",
-      name: emp.name
-    });
-  });
-
-  // Mission areas as documents
-  data.en.mission.forEach((mission) => {
-    documents.push({
-      content: `${mission.title}
-${mission.text}
-Technologies: ${mission.items.join(", ")}`,
-      type: "mission",
-      category: mission.title
-    });
-  });
+function buildSearchDocuments(langs) {
+  const all = createSearchDocuments();
+  return new Map(
+    langs.map((lang) => {
+      const documents = all.filter((doc) => doc.lang === lang);
+      keywordIndexes.set(documents, new KeywordIndex(documents));
+      return [lang, documents];
+    })
+  );
+}
 
-  // Contact info
-  documents.push({
-    content: `Contact Information:
-Email: ${data.en.contact.email}
-Phone: ${data.en.contact.phone}
-Address: ${data.en.hq.address}`,
-    type: "contact"
-  });
+// Rebuild the documents and indexes of the languages in use when the
+// knowledge base is reloaded, then swap them in: questions keep searching the
+// previous ones meanwhile and never wait for a rebuild
+onFaqDataChange(() => {
+  if (documentsCache.size === 0) {
+    return;
+  }
+  try {
+    documentsCache = buildSearchDocuments([...documentsCache.keys()]);
+  } catch (error) {
+    // Built on the next question instead
+    logger.error("Rebuilding the keyword index failed", { error: error.message });
+    documentsCache = new Map();
+  }
+});
 
-  return documents;
+/**
+ * Keyword search - ranks documents against the question with BM25
+ * Returns [{ ...doc, score }], best match first
+ */
+function findRelevantDocuments(question, documents, options = {}) {
+  const {
+    lang = documents[0]?.lang,
+    topK = KEYWORD_TOP_K,
+    minScore = KEYWORD_MIN_SCORE,
+  } = options;
+
+  if (!keywordIndexes.has(documents)) {
+    keywordIndexes.set(documents, new KeywordIndex(documents));
+  }
+  return keywordIndexes.get(documents).search(question, { lang, topK, minScore });
 }
 
 /**
- * Run FAQ agent with simple keyword-based RAG
+ * Searchable documents in one language. Cached, so the keyword index built
+ * for them is reused across questions.
  */
-async function runFAQAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
-
-  // Load data (replace with DB query in production)
-  if (!faqDataCache) {
-    faqDataCache = JSON.parse(fs.readFileSync("faq.json", "utf8"));
+function getSearchDocuments(lang) {
+  if (!documentsCache.has(lang)) {
+    documentsCache = new Map([...documentsCache, ...buildSearchDocuments([lang])]);
   }
+  return documentsCache.get(lang);
+}
+
+/**
+ * Build the agent and the conversation to send it for a question
+ */
+async function prepareAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
 
-  // Create searchable documents
-  const documents = createDocumentsFromData(faqDataCache);
+  const documents = getSearchDocuments(lang);
+  const section = getFaqData()[lang];
 
   // Find relevant documents using keyword search
-  const relevantDocs = findRelevantDocuments(question, documents);
-
-  // Build context from retrieved documents
-  const context = relevantDocs.length > 0
-    ? relevantDocs
-        .map((doc, i) => {
-          const metadata = doc.type ? `[${doc.type}]` : "";
-          return `${metadata}\n${doc.content}`;
-        })
-        .join("\n\n---\n\n")
-    : // Fallback: if no matches, include company info
-      `Company: ${faqDataCache.en.companyName}\n${faqDataCache.en.missionStatement}`;
+  const relevantDocs = await timed("retrievalMs", () =>
+    retrieve(buildRetrievalQuery(question, history), {
+      lang,
+      search: async (query, k) => findRelevantDocuments(query, documents, { lang, topK: k }),
+      topK: KEYWORD_TOP_K,
+    })
+  );
+
+  // Nothing scores above KEYWORD_MIN_SCORE: hand off instead of guessing
+  if (relevantDocs.length === 0) {
+    return { refusal: noRelevantDocuments(lang) };
+  }
+
+  // Build numbered context (and the matching sources) from retrieved documents
+  const { context, sources } = buildCitedContext(relevantDocs);
 
   // Create system prompt with ONLY relevant context
-  const systemPrompt = `You are a helpful assistant for ${faqDataCache.en.companyName}.
+  const systemPrompt = `You are a helpful assistant for ${section.companyName}.
 
-Use the following context to answer questions. If the context doesn't contain enough 
-information to fully answer the question, provide the best answer you can based on 
-what's available.
+Use the following context to answer questions.
 
 Context:
 ${context}
 
-Answer questions about the company based on this context. Be helpful and accurate.`;
+Answer questions about the company based on this context. Be helpful and accurate.
+${groundingInstructions(lang)}
+${CITATION_INSTRUCTIONS}
+${ANSWER_INSTRUCTIONS[lang]}`;
 
   const agent = createAgent({
     model: llm,
@@ -143,23 +144,56 @@ Answer questions about the company based on this context. Be helpful and accurat
     systemPrompt: systemPrompt,
   });
 
-  const response = await agent.invoke({
-    messages: [{ role: "user", content: question }],
-  });
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+    sources,
+  };
+}
+
+/**
+ * Run FAQ agent with simple keyword-based RAG
+ * Returns { answer, sources } where sources are the documents cited as [n]
+ */
+async function runFAQAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareAgent(question, options);
+  if (refusal) {
+    return refusal;
+  }
+
+  const response = await agent.invoke({ messages });
 
   // Extract the answer from the response
   if (response.messages && response.messages.length > 0) {
     const lastMessage = response.messages[response.messages.length - 1];
     const answer =
       lastMessage.content || lastMessage.text || String(lastMessage);
-    return answer;
+    return { answer, sources };
   } else {
-    return JSON.stringify(response, null, 2);
+    return { answer: JSON.stringify(response, null, 2), sources };
+  }
+}
+
+/**
+ * Stream the answer (used by the SSE endpoint): yields a
+ * { type: "sources" } event first, then { type: "token", text } events
+ */
+async function* streamFAQAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareAgent(question, options);
+  if (refusal) {
+    yield* streamResult(refusal);
+    return;
   }
+  yield* streamAgentAnswer(agent, messages, sources);
 }
 
 // Export for use in server
-export { runFAQAgent };
+export {
+  runFAQAgent,
+  streamFAQAgent,
+  findRelevantDocuments,
+  getSearchDocuments,
+};
 
 // CLI mode: if run directly (not imported), accept command-line arguments
 if (process.argv[1] && process.argv[1].endsWith("agent-simple-rag.js")) {
@@ -174,7 +208,10 @@ if (process.argv[1] && process.argv[1].endsWith("agent-simple-rag.js")) {
   }
 
   runFAQAgent(question)
-    .then((answer) => console.log(answer))
+    .then(({ answer, sources }) => {
+      console.log(answer);
+      console.log(formatSourceList(sources));
+    })
     .catch((error) => {
       console.error("Error:", error.message);
       process.exit(1);
@@ -0,0 +1,43 @@
+/**
+ * Streaming Helpers
+ *
+ * Shared by the agent modules to turn createAgent's message stream into
+ * answer events for the SSE endpoint.
+ */
+
+/**
+ * Yield the answer as events: { type: "sources", sources } first, then
+ * { type: "token", text } for each piece of the model's answer.
+ * Only AI message chunks are forwarded; tool messages and state updates are skipped.
+ */
+async function* streamAgentAnswer(agent, messages, sources = []) {
+  yield { type: "sources", sources };
+
+  const stream = await agent.stream({ messages }, { streamMode: "messages" });
+
+  for await (const [chunk] of stream) {
+    if (chunk._getType() !== "ai") {
+      continue;
+    }
+
+    const text = chunkText(chunk.content);
+    if (text) {
+      yield { type: "token", text };
+    }
+  }
+}
+
+function chunkText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part.type === "text")
+      .map((part) => part.text)
+      .join("");
+  }
+  return "";
+}
+
+export { streamAgentAnswer, chunkText };
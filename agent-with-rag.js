@@ -6,125 +6,225 @@
  */
 
 import { createAgent } from "langchain";
-import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
-import { MemoryVectorStore } from "langchain/vectorstores/memory";
+import { createChatModel, createEmbeddings } from "./llm-provider.js";
+import { streamAgentAnswer } from "./agent-streaming.js";
+import { buildRetrievalQuery } from "./session-store.js";
+import { ANSWER_INSTRUCTIONS, resolveLanguage } from "./language.js";
+import {
+  getFaqData,
+  createSearchDocuments,
+  getKnowledgeBaseVersion,
+  reloadFaqData,
+  onFaqDataChange,
+} from "./knowledge-base.js";
+import {
+  CITATION_INSTRUCTIONS,
+  buildCitedContext,
+  formatSourceList,
+} from "./citations.js";
+import { FileVectorStore, DEFAULT_INDEX_FILE } from "./vector-index.js";
 import { Document } from "@langchain/core/documents";
+import { logger, timed } from "./logger.js";
+import { retrieve } from "./retrieval-pipeline.js";
+import { groundingInstructions, noRelevantDocuments, streamResult } from "./guardrails.js";
 import * as fs from "fs";
 import * as dotenv from "dotenv";
 
 dotenv.config();
 
-// Cache the vector store (in production, use a persistent store)
+// Cache the vector store (persisted to disk, see vector-index.js)
 let vectorStoreCache = null;
-let faqDataCache = null;
+// Knowledge base version the index was last synced with
+let indexedVersion = null;
+// Sync in progress (only one runs at a time)
+let syncInProgress = null;
+// { at, message } from the last failed sync
+let lastSyncError = null;
+
+// Minimum cosine similarity for a document to count as relevant. Depends on
+// the embeddings model: raise it if unrelated questions still retrieve documents.
+const VECTOR_MIN_SCORE = Number(process.env.VECTOR_MIN_SCORE ?? 0.1);
 
 /**
- * Initialize vector store from FAQ data
- * In production, this would load from a database and be cached/persisted
+ * The knowledge base's search documents (see createSearchDocuments) as
+ * LangChain documents
  */
-async function initializeVectorStore() {
-  if (vectorStoreCache) {
-    return vectorStoreCache;
-  }
-
-  // Load data (replace with DB query in production)
-  const faqData = JSON.parse(fs.readFileSync("faq.json", "utf8"));
-  faqDataCache = faqData;
-
-  const embeddings = new OpenAIEmbeddings({ apiKey: process.env.OPEN_API_KEY });
-
-  // Create documents from FAQ data
-  const documents = [];
-
-  // Company info document
-  documents.push(
-    new Document({
-      pageContent: `Company Name: ${faqData.en.companyName}
-Founder: ${faqData.en.founder}
-Co-founders: ${faqData.en["co-founders"].join(", ")}
-Mission Statement: ${faqData.en.missionStatement}
-Tagline: ${faqData.en.tagline}
-Story: ${faqData.en.story}`,
-      metadata: { type: "company_info" },
-    })
+function createVectorDocuments() {
+  return createSearchDocuments().map(
+    ({ content, ...metadata }) => new Document({ pageContent: content, metadata })
   );
+}
 
-  // Each employee as a document
-  faqData.en.employees.forEach((emp) => {
-    documents.push(
-      new Document({
-        pageContent: `Employee: ${emp.name}
-Role: ${emp.role}
-Area: ${emp.area}`,
-        metadata: { type: "employee", name: emp.name },
-      })
-    );
-  });
+/**
+ * Sync the index with the current knowledge base. Calls made while a sync is
+ * running share it.
+ */
+function syncVectorStore({ force = false } = {}) {
+  if (!syncInProgress) {
+    syncInProgress = (async () => {
+      const version = getKnowledgeBaseVersion();
+      const vectorStore = vectorStoreCache || (await FileVectorStore.load(createEmbeddings()));
+      const stats = await vectorStore.sync(createVectorDocuments(), { force });
 
-  // Mission areas as documents
-  faqData.en.mission.forEach((mission) => {
-    documents.push(
-      new Document({
-        pageContent: `${mission.title}
-${mission.text}
-Technologies: ${mission.items.join(", ")}`,
-        metadata: { type: "mission", category: mission.title },
+      vectorStoreCache = vectorStore;
+      indexedVersion = version;
+      lastSyncError = null;
+      return stats;
+    })()
+      .catch((error) => {
+        lastSyncError = { at: new Date().toISOString(), message: error.message };
+        throw error;
       })
+      .finally(() => {
+        syncInProgress = null;
+      });
+  }
+  return syncInProgress;
+}
+
+function logSyncStats(stats) {
+  logger.info("Vector index synced", stats);
+}
+
+function syncInBackground() {
+  syncVectorStore()
+    .then(logSyncStats)
+    .catch((error) =>
+      logger.error("Vector index sync failed, keeping the previous index", { error: error.message })
     );
-  });
+}
 
-  // Contact info
-  documents.push(
-    new Document({
-      pageContent: `Contact Information:
-Email: ${faqData.en.contact.email}
-Phone: ${faqData.en.contact.phone}
-Address: ${faqData.en.hq.address}`,
-      metadata: { type: "contact" },
-    })
-  );
+// Re-embed changed documents in the background when the knowledge base is
+// reloaded; questions keep using the previous index until the sync is done
+onFaqDataChange(() => {
+  if (vectorStoreCache) {
+    syncInBackground();
+  }
+});
 
-  // Create vector store
-  vectorStoreCache = await MemoryVectorStore.fromDocuments(
-    documents,
-    embeddings
-  );
+/**
+ * Initialize vector store from FAQ data
+ * Loads the saved index and only embeds documents that are new or changed.
+ * Once loaded, a knowledge base change is synced in the background and the
+ * previous index is served meanwhile.
+ */
+async function initializeVectorStore() {
+  if (vectorStoreCache && indexedVersion === getKnowledgeBaseVersion()) {
+    return vectorStoreCache;
+  }
+  if (vectorStoreCache) {
+    // Retried here if the background sync failed
+    if (!syncInProgress) {
+      syncInBackground();
+    }
+    return vectorStoreCache;
+  }
 
+  logSyncStats(await syncVectorStore());
   return vectorStoreCache;
 }
 
 /**
- * Run FAQ agent with RAG - only retrieves relevant context
+ * Rebuild the index from faq.json and the ingested documents. With force,
+ * every document is re-embedded.
  */
-async function runFAQAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
+async function reindex({ force = false } = {}) {
+  reloadFaqData();
+  // Let a running sync finish so the rebuild sees the latest data
+  await syncInProgress?.catch(() => {});
+  return syncVectorStore({ force });
+}
 
+/**
+ * Index status for /health (without loading or embedding anything)
+ */
+function getIndexStatus() {
+  if (vectorStoreCache) {
+    return {
+      loaded: true,
+      ...vectorStoreCache.status(),
+      indexedVersion,
+      syncing: syncInProgress !== null,
+      lastSyncError,
+    };
+  }
+  return {
+    loaded: false,
+    file: DEFAULT_INDEX_FILE,
+    exists: fs.existsSync(DEFAULT_INDEX_FILE),
+    lastSyncError,
+  };
+}
+
+/**
+ * Semantic search in one language
+ * Returns [{ id, type, content, score }] (plus source, title and section for
+ * ingested documents), most similar first, limited to a cosine similarity of
+ * at least minScore
+ */
+async function findSimilarDocuments(query, { lang, k = 5, minScore = VECTOR_MIN_SCORE } = {}) {
   // Initialize vector store (cached after first call)
   const vectorStore = await initializeVectorStore();
 
+  const results = await vectorStore.similaritySearchWithScore(
+    query,
+    k,
+    (doc) => doc.metadata.lang === lang
+  );
+
+  return results
+    .filter(([, score]) => score >= minScore)
+    .map(([doc, score]) => ({
+      id: doc.metadata.id,
+      type: doc.metadata.type,
+      ...(doc.metadata.source && {
+        source: doc.metadata.source,
+        title: doc.metadata.title,
+        section: doc.metadata.section,
+      }),
+      content: doc.pageContent,
+      score,
+    }));
+}
+
+/**
+ * Build the agent and the conversation to send it for a question
+ */
+async function prepareAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
+
   // Retrieve relevant documents based on question similarity
-  // k=5 means get top 5 most similar documents
-  const relevantDocs = await vectorStore.similaritySearch(question, 5);
-
-  // Build context from retrieved documents only
-  const context = relevantDocs
-    .map((doc, i) => {
-      const metadata = doc.metadata.type ? `[${doc.metadata.type}]` : "";
-      return `${metadata}\n${doc.pageContent}`;
+  // topK=5 means get top 5 most similar documents in the answer language
+  const relevantDocs = await timed("retrievalMs", () =>
+    retrieve(buildRetrievalQuery(question, history), {
+      lang,
+      search: (query, k) => findSimilarDocuments(query, { lang, k }),
+      topK: 5,
     })
-    .join("\n\n---\n\n");
+  );
+
+  // Nothing is similar enough (VECTOR_MIN_SCORE): hand off instead of guessing
+  if (relevantDocs.length === 0) {
+    return { refusal: noRelevantDocuments(lang) };
+  }
+
+  // Build numbered context (and the matching sources) from retrieved documents only
+  const { context, sources } = buildCitedContext(relevantDocs);
 
   // Create system prompt with ONLY relevant context
-  const systemPrompt = `You are a helpful assistant for ${faqDataCache.en.companyName}.
+  const systemPrompt = `You are a helpful assistant for ${getFaqData()[lang].companyName}.
 
-Use the following context to answer questions. If the context doesn't contain enough 
-information to fully answer the question, provide the best answer you can based on 
-what's available.
+Use the following context to answer questions.
 
 Context:
 ${context}
 
-Answer questions about the company based on this context. Be helpful and accurate.`;
+Answer questions about the company based on this context. Be helpful and accurate.
+${groundingInstructions(lang)}
+${CITATION_INSTRUCTIONS}
+${ANSWER_INSTRUCTIONS[lang]}`;
 
   const agent = createAgent({
     model: llm,
@@ -132,30 +232,59 @@ Answer questions about the company based on this context. Be helpful and accurat
     systemPrompt: systemPrompt,
   });
 
-  const response = await agent.invoke({
-    messages: [{ role: "user", content: question }],
-  });
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+    sources,
+  };
+}
+
+/**
+ * Run FAQ agent with RAG - only retrieves relevant context
+ * Returns { answer, sources } where sources are the documents cited as [n]
+ */
+async function runFAQAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareAgent(question, options);
+  if (refusal) {
+    return refusal;
+  }
+
+  const response = await agent.invoke({ messages });
 
   // Extract the answer from the response
   if (response.messages && response.messages.length > 0) {
     const lastMessage = response.messages[response.messages.length - 1];
     const answer =
       lastMessage.content || lastMessage.text || String(lastMessage);
-    return answer;
+    return { answer, sources };
   } else {
-    return JSON.stringify(response, null, 2);
+    return { answer: JSON.stringify(response, null, 2), sources };
   }
 }
 
-// Export for use in server
-export { runFAQAgent };
+/**
+ * Stream the answer (used by the SSE endpoint): yields a
+ * { type: "sources" } event first, then { type: "token", text } events
+ */
+async function* streamFAQAgent(question, options = {}) {
+  const { agent, messages, sources, refusal } = await prepareAgent(question, options);
+  if (refusal) {
+    yield* streamResult(refusal);
+    return;
+  }
+  yield* streamAgentAnswer(agent, messages, sources);
+}
 
-// CLI mode: if run directly (not imported), accept command-line arguments
-if (process.argv[1] && process.argv[1].endsWith("agent-with-rag.js")) {
-  const question = process.argv.slice(2).join(" ");
+// Export for use in server
+export { runFAQAgent, streamFAQAgent, findSimilarDocuments, reindex, getIndexStatus };
 
+/**
+ * Answer a single question passed on the command line
+ */
+function runQuestion(question) {
   if (!question) {
     console.error("Usage: node agent-with-rag.js <question>");
+    console.error("       node agent-with-rag.js reindex [--force]");
     console.error(
       'Example: node agent-with-rag.js "What is the company\'s mission?"'
     );
@@ -163,9 +292,34 @@ if (process.argv[1] && process.argv[1].endsWith("agent-with-rag.js")) {
   }
 
   runFAQAgent(question)
-    .then((answer) => console.log(answer))
+    .then(({ answer, sources }) => {
+      console.log(answer);
+      console.log(formatSourceList(sources));
+    })
     .catch((error) => {
       console.error("Error:", error.message);
       process.exit(1);
     });
 }
+
+// CLI mode: if run directly (not imported), accept command-line arguments
+if (process.argv[1] && process.argv[1].endsWith("agent-with-rag.js")) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "reindex") {
+    const force = args.includes("--force");
+    reindex({ force })
+      .then((stats) => {
+        console.log(
+          `✅ Reindexed${force ? " (forced)" : ""}: ${stats.added} added, ${stats.updated} updated, ` +
+            `${stats.removed} removed, ${stats.unchanged} unchanged`
+        );
+      })
+      .catch((error) => {
+        console.error("Error:", error.message);
+        process.exit(1);
+      });
+  } else {
+    runQuestion(args.join(" "));
+  }
+}
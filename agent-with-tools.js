@@ -0,0 +1,161 @@
+/**
+ * Tool-Calling Agent
+ *
+ * Instead of putting knowledge base content in the system prompt, the model
+ * gets tools over faq.json (see faq-tools.js) and fetches exactly what it
+ * needs. Every tool invocation is logged and returned with the answer.
+ */
+
+import { createAgent } from "langchain";
+import { createChatModel } from "./llm-provider.js";
+import { chunkText } from "./agent-streaming.js";
+import { ANSWER_INSTRUCTIONS, resolveLanguage } from "./language.js";
+import { getFaqData } from "./knowledge-base.js";
+import { createFaqTools } from "./faq-tools.js";
+import { logger } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Build the agent and the conversation to send it for a question
+ */
+async function prepareAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
+
+  const section = getFaqData()[lang];
+
+  const systemPrompt = `You are a helpful assistant for ${section.companyName}.
+
+You don't know anything about the company by heart. Use the tools to look up employees,
+open roles, contact details and anything else in the knowledge base before answering,
+and answer only from what the tools return. If they return nothing relevant, say so.
+${ANSWER_INSTRUCTIONS[lang]}`;
+
+  const agent = createAgent({
+    model: llm,
+    tools: createFaqTools(section, lang),
+    systemPrompt: systemPrompt,
+  });
+
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+  };
+}
+
+/**
+ * Pair the model's tool calls with their results: [{ name, args, result }]
+ */
+function collectToolCalls(messages) {
+  const calls = new Map();
+
+  messages.forEach((message) => {
+    if (message._getType() === "ai") {
+      (message.tool_calls || []).forEach((call) => {
+        calls.set(call.id, { name: call.name, args: call.args, result: null });
+      });
+    } else if (message._getType() === "tool" && calls.has(message.tool_call_id)) {
+      calls.get(message.tool_call_id).result = message.content;
+    }
+  });
+
+  return [...calls.values()];
+}
+
+// Characters of a tool's result kept in its log line
+const LOGGED_RESULT_LENGTH = 200;
+
+/**
+ * Log a finished tool call (with the request's id, when handling one)
+ */
+function logToolCall(call) {
+  const result = String(call.result ?? "");
+  logger.info("tool call", {
+    tool: call.name,
+    args: call.args,
+    result: result.length > LOGGED_RESULT_LENGTH ? `${result.slice(0, LOGGED_RESULT_LENGTH)}…` : result,
+  });
+}
+
+/**
+ * Run the tool-calling FAQ agent
+ * Returns { answer, sources, toolCalls }; sources is empty since the facts
+ * come from tool results, which are listed in toolCalls instead
+ */
+async function runFAQAgent(question, options = {}) {
+  const { agent, messages } = await prepareAgent(question, options);
+
+  const response = await agent.invoke({ messages });
+
+  // Only the messages added in this turn (not the history we sent)
+  const toolCalls = collectToolCalls(response.messages.slice(messages.length));
+  toolCalls.forEach(logToolCall);
+
+  const lastMessage = response.messages[response.messages.length - 1];
+  const answer = lastMessage.content || lastMessage.text || String(lastMessage);
+  return { answer, sources: [], toolCalls };
+}
+
+/**
+ * Stream the answer (used by the SSE endpoint): yields a { type: "sources" }
+ * event first, then { type: "tool", call } for each finished tool call and
+ * { type: "token", text } for the answer
+ */
+async function* streamFAQAgent(question, options = {}) {
+  const { agent, messages } = await prepareAgent(question, options);
+
+  yield { type: "sources", sources: [] };
+
+  // "updates" delivers each step's complete messages (tool calls and
+  // results), "messages" the answer token by token
+  const stream = await agent.stream({ messages }, { streamMode: ["updates", "messages"] });
+  const pending = new Map();
+
+  for await (const [mode, data] of stream) {
+    if (mode === "messages") {
+      const [chunk] = data;
+      const text = chunk._getType() === "ai" ? chunkText(chunk.content) : "";
+      if (text) {
+        yield { type: "token", text };
+      }
+      continue;
+    }
+
+    for (const update of Object.values(data)) {
+      for (const message of update?.messages || []) {
+        if (message._getType() === "ai") {
+          (message.tool_calls || []).forEach((call) => pending.set(call.id, call));
+        } else if (message._getType() === "tool" && pending.has(message.tool_call_id)) {
+          const { name, args } = pending.get(message.tool_call_id);
+          const call = { name, args, result: message.content };
+          logToolCall(call);
+          yield { type: "tool", call };
+        }
+      }
+    }
+  }
+}
+
+// Export for use in server
+export { runFAQAgent, streamFAQAgent };
+
+// CLI mode: if run directly (not imported), accept command-line arguments
+if (process.argv[1] && process.argv[1].endsWith("agent-with-tools.js")) {
+  const question = process.argv.slice(2).join(" ");
+
+  if (!question) {
+    console.error("Usage: node agent-with-tools.js <question>");
+    console.error('Example: node agent-with-tools.js "Who works with .NET?"');
+    process.exit(1);
+  }
+
+  runFAQAgent(question)
+    .then(({ answer }) => console.log(answer))
+    .catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
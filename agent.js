@@ -1,47 +1,89 @@
 import { createAgent } from "langchain";
-import { ChatOpenAI } from "@langchain/openai";
-import * as fs from "fs";
+import { createChatModel } from "./llm-provider.js";
+import { streamAgentAnswer } from "./agent-streaming.js";
+import * as readline from "readline/promises";
 import * as dotenv from "dotenv";
+import {
+  InMemorySessionStore,
+  createSessionId,
+  runConversationTurn,
+} from "./session-store.js";
+import { ANSWER_INSTRUCTIONS, LABELS, resolveLanguage } from "./language.js";
+import { formatFields } from "./faq-schema.js";
+import { getFaqData } from "./knowledge-base.js";
+import { groundingInstructions } from "./guardrails.js";
 
 dotenv.config();
 
-async function runFAQAgent(question) {
-  const llm = new ChatOpenAI({ apiKey: process.env.OPEN_API_KEY });
-
-  // Load FAQ data
-  const faqData = JSON.parse(fs.readFileSync("faq.json", "utf8"));
+/**
+ * Format a titled prompt section, or nothing if it has no lines
+ */
+function promptSection(title, lines) {
+  return lines.length > 0 ? `${title}:\n${lines.join("\n")}` : "";
+}
 
-  // Create system prompt with FAQ data
-  const systemPrompt = `You are a helpful assistant for ${
-    faqData.en.companyName
-  }. 
+/**
+ * Build the agent and the conversation to send it for a question
+ */
+async function prepareAgent(question, options = {}) {
+  const { history = [] } = options;
+  const lang = resolveLanguage(options.lang, question);
+  const llm = createChatModel();
+
+  // Load FAQ data for the answer language
+  const faqData = getFaqData();
+  const section = faqData[lang];
+  const labels = LABELS[lang];
+
+  // Create system prompt with FAQ data, labeled in the answer language
+  // (optional sections are left out when empty)
+  const systemPrompt = `You are a helpful assistant for ${section.companyName}.
 You have access to the following information about the company:
 
-Company Information:
-- Company Name: ${faqData.en.companyName}
-- Founder: ${faqData.en.founder}
-- Co-founders: ${faqData.en["co-founders"].join(", ")}
-- Mission Statement: ${faqData.en.missionStatement}
-- Tagline: ${faqData.en.tagline}
-- Story: ${faqData.en.story}
-
-Employees:
-${faqData.en.employees
-  .map((emp) => `- ${emp.name}, ${emp.role} (${emp.area})`)
-  .join("\n")}
-
-Mission Areas:
-${faqData.en.mission.map((m) => `- ${m.title}: ${m.text}`).join("\n")}
-
-Why Choose Us:
-${faqData.en.whyChooseUs.join(", ")}
-
-Contact Information:
-- Email: ${faqData.en.contact.email}
-- Phone: ${faqData.en.contact.phone}
-- Address: ${faqData.en.hq.address}
-
-Answer questions about the company based on this information. Be helpful and accurate.`;
+${[
+  promptSection("Company Information", [
+    formatFields([
+      [labels.companyName, section.companyName],
+      [labels.founder, section.founder],
+      [labels.coFounders, section["co-founders"].join(", ")],
+      [labels.missionStatement, section.missionStatement],
+      [labels.tagline, section.tagline],
+      [labels.story, section.story],
+      [labels.whyChooseUs, section.whyChooseUs.join(", ")],
+    ]),
+  ]),
+  promptSection(
+    "Employees",
+    section.employees.map((emp) => `- ${emp.name}, ${emp.role} (${emp.area})`)
+  ),
+  promptSection(
+    "Mission Areas",
+    section.mission.map((m) => `- ${m.title}: ${m.text}`)
+  ),
+  promptSection(
+    labels.careers,
+    [
+      section.careers.intro,
+      formatFields([
+        [labels.openRoles, section.careers.openRoles.join(", ")],
+        [labels.culture, section.careers.culture.join(", ")],
+      ]),
+    ].filter(Boolean)
+  ),
+  promptSection(labels.contact, [
+    formatFields([
+      [labels.email, section.contact.email],
+      [labels.phone, section.contact.phone],
+      [labels.address, section.hq.address],
+    ]),
+  ]),
+]
+  .filter(Boolean)
+  .join("\n\n")}
+
+Answer questions about the company based on this information. Be helpful and accurate.
+${groundingInstructions(lang)}
+${ANSWER_INSTRUCTIONS[lang]}`;
 
   const agent = createAgent({
     model: llm,
@@ -49,9 +91,22 @@ Answer questions about the company based on this information. Be helpful and acc
     systemPrompt: systemPrompt,
   });
 
-  const response = await agent.invoke({
-    messages: [{ role: "user", content: question }],
-  });
+  return {
+    agent,
+    messages: [...history, { role: "user", content: question }],
+    // The whole knowledge base is in the prompt, so there are no retrieved sources
+    sources: [],
+  };
+}
+
+/**
+ * Run FAQ agent with the full knowledge base in the prompt
+ * Returns { answer, sources } like the RAG agents (sources is always empty)
+ */
+async function runFAQAgent(question, options = {}) {
+  const { agent, messages, sources } = await prepareAgent(question, options);
+
+  const response = await agent.invoke({ messages });
 
   // Extract the answer from the response
   // The response contains a messages array with BaseMessage objects
@@ -61,30 +116,94 @@ Answer questions about the company based on this information. Be helpful and acc
     // BaseMessage objects have a content property
     const answer =
       lastMessage.content || lastMessage.text || String(lastMessage);
-    return answer;
+    return { answer, sources };
   } else {
     // Fallback: return the entire response if structure is unexpected
-    return JSON.stringify(response, null, 2);
+    return { answer: JSON.stringify(response, null, 2), sources };
   }
 }
 
+/**
+ * Stream the answer (used by the SSE endpoint): yields a
+ * { type: "sources" } event first, then { type: "token", text } events
+ */
+async function* streamFAQAgent(question, options = {}) {
+  const { agent, messages, sources } = await prepareAgent(question, options);
+  yield* streamAgentAnswer(agent, messages, sources);
+}
+
 // Export for use in server
-export { runFAQAgent };
+export { runFAQAgent, streamFAQAgent };
+
+/**
+ * Interactive REPL: keeps conversation history between questions
+ */
+async function runInteractive() {
+  const store = new InMemorySessionStore();
+  const sessionId = createSessionId();
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
 
-// CLI mode: if run directly (not imported), accept command-line arguments
-if (process.argv[1] && process.argv[1].endsWith("agent.js")) {
-  const question = process.argv.slice(2).join(" ");
+  console.log('💬 Ask The Tribe (type "exit" to quit)');
+
+  try {
+    while (true) {
+      const question = (await rl.question("\n> ")).trim();
+      if (question === "exit" || question === "quit") {
+        break;
+      }
+      if (!question) {
+        continue;
+      }
+
+      try {
+        const { answer } = await runConversationTurn(
+          runFAQAgent,
+          store,
+          sessionId,
+          question
+        );
+        console.log(answer);
+      } catch (error) {
+        console.error("Error:", error.message);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+}
 
+/**
+ * Answer a single question passed on the command line
+ */
+function runQuestion(question) {
   if (!question) {
     console.error("Usage: node agent.js <question>");
+    console.error("       node agent.js --interactive");
     console.error('Example: node agent.js "What is the company\'s mission?"');
     process.exit(1);
   }
 
   runFAQAgent(question)
-    .then((answer) => console.log(answer))
+    .then(({ answer }) => console.log(answer))
     .catch((error) => {
       console.error("Error:", error.message);
       process.exit(1);
     });
 }
+
+// CLI mode: if run directly (not imported), accept command-line arguments
+if (process.argv[1] && process.argv[1].endsWith("agent.js")) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "-i" || args[0] === "--interactive") {
+    runInteractive().catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+  } else {
+    runQuestion(args.join(" "));
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Answer Cache
+ *
+ * Visitors ask the same few questions over and over ("how can I contact
+ * you?"). Answers to a conversation's first question are cached by
+ * normalized question, language, agent mode and knowledge base version, so
+ * repeats skip retrieval and the LLM call. Follow-up questions depend on the
+ * conversation and are never cached.
+ *
+ * With semantic matching on, a question that isn't cached word for word can
+ * still reuse the answer to a near-duplicate ("how do I contact you" vs
+ * "how can I get in touch?"), compared with the vector index's embeddings.
+ * That costs one embedding call per uncached question.
+ *
+ * Entries expire after a TTL and are dropped when faq.json changes.
+ */
+
+import { cosineSimilarity } from "@langchain/core/utils/math";
+import { createEmbeddings } from "./llm-provider.js";
+import { getKnowledgeBaseVersion, onFaqDataChange } from "./knowledge-base.js";
+import { logger } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const DEFAULT_OPTIONS = {
+  // 0 turns the cache off
+  ttlMinutes: Number(process.env.ANSWER_CACHE_TTL_MINUTES ?? 60),
+  maxEntries: Number(process.env.ANSWER_CACHE_MAX_ENTRIES) || 500,
+  semantic: process.env.ANSWER_CACHE_SEMANTIC === "true",
+  similarity: Number(process.env.ANSWER_CACHE_SIMILARITY) || 0.95,
+};
+
+/**
+ * Lowercase, without punctuation and extra whitespace, so "How can I
+ * contact you?" and "how can i contact you" share an entry
+ */
+function normalizeQuestion(question) {
+  return question
+    .toLowerCase()
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{N}\s.#+-]/gu, " ")
+    .replace(/[.\s]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+class AnswerCache {
+  constructor(options = {}) {
+    const { ttlMinutes, maxEntries, semantic, similarity } = { ...DEFAULT_OPTIONS, ...options };
+    this.ttlMs = ttlMinutes * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.semantic = semantic;
+    this.similarity = similarity;
+    this.embeddings = options.embeddings || (semantic ? createEmbeddings() : null);
+    // key -> { lang, mode, version, result, embedding, expiresAt }
+    // (Map order doubles as least-recently-used order)
+    this.entries = new Map();
+    this.counters = { exactHits: 0, semanticHits: 0, misses: 0 };
+
+    onFaqDataChange(() => this.clear());
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  key(question, { lang, mode, version }) {
+    return JSON.stringify([version, lang, mode, normalizeQuestion(question)]);
+  }
+
+  /**
+   * Look up a first question. Returns { result } on a hit, otherwise
+   * { version, embedding } to pass on to store() with the fresh answer.
+   */
+  async lookup(question, { lang, mode }) {
+    this.pruneExpired();
+    const version = getKnowledgeBaseVersion();
+    const key = this.key(question, { lang, mode, version });
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.touch(key, entry);
+      this.counters.exactHits += 1;
+      return { result: entry.result };
+    }
+
+    if (!this.semantic) {
+      this.counters.misses += 1;
+      return { version };
+    }
+
+    let embedding;
+    try {
+      embedding = await this.embeddings.embedQuery(normalizeQuestion(question));
+    } catch (error) {
+      // Answer the question anyway; it just can't be matched or stored semantically
+      logger.warn("Answer cache embedding failed", { error: error.message });
+      this.counters.misses += 1;
+      return { version };
+    }
+
+    const candidates = [...this.entries].filter(
+      ([, e]) => e.embedding && e.lang === lang && e.mode === mode && e.version === version
+    );
+    if (candidates.length > 0) {
+      const scores = cosineSimilarity([embedding], candidates.map(([, e]) => e.embedding))[0];
+      const best = scores.indexOf(Math.max(...scores));
+      if (scores[best] >= this.similarity) {
+        const [bestKey, bestEntry] = candidates[best];
+        this.touch(bestKey, bestEntry);
+        this.counters.semanticHits += 1;
+        return { result: bestEntry.result };
+      }
+    }
+
+    this.counters.misses += 1;
+    return { version, embedding };
+  }
+
+  /**
+   * Cache an answer computed from knowledge base `version`
+   */
+  store(question, { lang, mode, version, embedding }, result) {
+    this.entries.set(this.key(question, { lang, mode, version }), {
+      lang,
+      mode,
+      version,
+      result,
+      embedding,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Move an entry to the most recently used end
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now >= entry.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Wrap an agent's run(question, { history, lang }). First questions are
+   * answered from the cache when possible; results get `cached: true` on a hit.
+   */
+  wrapRun(run, mode) {
+    return async (question, options = {}) => {
+      if (!this.enabled || options.history?.length > 0) {
+        return run(question, options);
+      }
+
+      const { result, ...miss } = await this.lookup(question, { lang: options.lang, mode });
+      if (result) {
+        return { ...result, cached: true };
+      }
+
+      const fresh = await run(question, options);
+      this.store(question, { lang: options.lang, mode, ...miss }, fresh);
+      return fresh;
+    };
+  }
+
+  /**
+   * Streaming counterpart of wrapRun(). A hit replays the cached sources,
+   * tool calls and final answer (as one token), each event marked `cached: true`.
+   * A stream that isn't read to the end is not cached.
+   */
+  wrapStream(stream, mode) {
+    const cache = this;
+    return async function* (question, options = {}) {
+      if (!cache.enabled || options.history?.length > 0) {
+        yield* stream(question, options);
+        return;
+      }
+
+      const { result, ...miss } = await cache.lookup(question, { lang: options.lang, mode });
+      if (result) {
+        yield { type: "sources", sources: result.sources, cached: true };
+        for (const call of result.toolCalls || []) {
+          yield { type: "tool", call, cached: true };
+        }
+        yield { type: "token", text: result.answer, refused: result.refused, cached: true };
+        return;
+      }
+
+      const fresh = { answer: "", sources: [] };
+      for await (const event of stream(question, options)) {
+        if (event.type === "sources") {
+          fresh.sources = event.sources;
+        } else if (event.type === "tool") {
+          fresh.toolCalls = [...(fresh.toolCalls || []), event.call];
+        } else if (event.type === "replace") {
+          // The guardrails withdrew the answer (see guardrails.js)
+          Object.assign(fresh, { answer: event.text, sources: [], refused: event.refused });
+        } else {
+          fresh.answer += event.text;
+          fresh.refused = fresh.refused || event.refused;
+        }
+        yield event;
+      }
+      cache.store(question, { lang: options.lang, mode, ...miss }, fresh);
+    };
+  }
+
+  /**
+   * Hit rates and size (for /health)
+   */
+  getStats() {
+    const { exactHits, semanticHits, misses } = this.counters;
+    const lookups = exactHits + semanticHits + misses;
+    return {
+      enabled: this.enabled,
+      semantic: this.semantic,
+      entries: this.entries.size,
+      lookups,
+      exactHits,
+      semanticHits,
+      misses,
+      hitRate: lookups > 0 ? (exactHits + semanticHits) / lookups : 0,
+    };
+  }
+}
+
+export { AnswerCache, normalizeQuestion };
@@ -0,0 +1,326 @@
+/**
+ * API Keys
+ *
+ * Partner sites call the JSON API (/api/*) with an API key, sent as
+ * `Authorization: Bearer <key>` (or `X-API-Key: <key>`). Each key has:
+ *
+ * - origins: the sites allowed to call the API from a browser (CORS); "*"
+ *   allows any origin
+ * - lang / mode: defaults for questions that don't set them
+ * - usage counters (requests, LLM tokens), kept in a separate file
+ *
+ * Keys are stored in api-keys.json (API_KEYS_FILE) as SHA-256 hashes, so the
+ * file doesn't reveal them; the key itself is only shown when it's created.
+ * The file is re-read when it changes, so keys created or revoked with the
+ * CLI apply without a restart:
+ *
+ *   node api-keys.js create "Partner site" --origin=https://partner.example --lang=sv
+ *   node api-keys.js list
+ *   node api-keys.js revoke <id>
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { createHash, randomBytes } from "crypto";
+import * as fs from "fs";
+import cors from "cors";
+import { AGENT_MODES, isAgentMode } from "./agent-registry.js";
+import { SUPPORTED_LANGUAGES, isSupportedLanguage } from "./language.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const KEYS_FILE = process.env.API_KEYS_FILE || "api-keys.json";
+const USAGE_FILE = process.env.API_KEY_USAGE_FILE || "api-key-usage.json";
+const KEY_PREFIX = "tribe_";
+// Usage is written to disk at most this often
+const USAGE_FLUSH_MS = 5000;
+
+// { mtimeMs, keys } for the last read of KEYS_FILE
+let keysCache = null;
+// id -> { requests, tokens, lastUsedAt }
+let usage = null;
+let usageFlushTimer = null;
+
+// The key of the request being handled, so token usage reported by the chat
+// model (see llm-provider.js) is counted for the right key
+const requestContext = new AsyncLocalStorage();
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function writeJsonAtomic(file, value) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(value, null, 2)}\n`);
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * All keys in the file, including revoked ones (re-read when the file changes)
+ */
+function loadKeys() {
+  if (!fs.existsSync(KEYS_FILE)) {
+    keysCache = null;
+    return [];
+  }
+
+  const { mtimeMs } = fs.statSync(KEYS_FILE);
+  if (!keysCache || keysCache.mtimeMs !== mtimeMs) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(KEYS_FILE, "utf8"));
+    keysCache = { mtimeMs, keys };
+  }
+  return keysCache.keys;
+}
+
+function activeKeys() {
+  return loadKeys().filter((entry) => !entry.revokedAt);
+}
+
+/**
+ * The active key matching a key string, or null
+ */
+function findApiKey(key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  const hash = hashKey(key);
+  return activeKeys().find((entry) => entry.hash === hash) || null;
+}
+
+/**
+ * Key settings without the hash (for listings and the key's own requests)
+ */
+function publicKeyInfo(entry) {
+  const { hash, ...info } = entry;
+  return { ...info, usage: getKeyUsage(entry.id) };
+}
+
+/**
+ * Create a key. Returns { key, info }; the key is not stored and can't be
+ * shown again.
+ */
+function createApiKey({ name, origins = [], lang, mode }) {
+  if (!name || typeof name !== "string") {
+    throw new Error("A key needs a name (e.g. the partner site it's for)");
+  }
+  if (lang !== undefined && !isSupportedLanguage(lang)) {
+    throw new Error(`Unsupported language "${lang}". Use one of: ${SUPPORTED_LANGUAGES.join(", ")}`);
+  }
+  if (mode !== undefined && !isAgentMode(mode)) {
+    throw new Error(`Unknown agent mode "${mode}". Use one of: ${AGENT_MODES.join(", ")}`);
+  }
+  const invalidOrigin = origins.find((origin) => origin !== "*" && !/^https?:\/\/[^/]+$/.test(origin));
+  if (invalidOrigin) {
+    throw new Error(`Invalid origin "${invalidOrigin}". Use scheme and host only, e.g. https://example.com`);
+  }
+
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const entry = {
+    id: `key_${randomBytes(4).toString("hex")}`,
+    name,
+    hash: hashKey(key),
+    origins,
+    ...(lang && { lang }),
+    ...(mode && { mode }),
+    createdAt: new Date().toISOString(),
+  };
+
+  writeJsonAtomic(KEYS_FILE, { keys: [...loadKeys(), entry] });
+  return { key, info: publicKeyInfo(entry) };
+}
+
+/**
+ * Revoke a key by id. Returns false if there is no such active key.
+ */
+function revokeApiKey(id) {
+  const keys = loadKeys();
+  const entry = keys.find((k) => k.id === id && !k.revokedAt);
+  if (!entry) {
+    return false;
+  }
+  entry.revokedAt = new Date().toISOString();
+  writeJsonAtomic(KEYS_FILE, { keys });
+  return true;
+}
+
+function listApiKeys() {
+  return loadKeys().map(publicKeyInfo);
+}
+
+function loadUsage() {
+  if (!usage) {
+    usage = fs.existsSync(USAGE_FILE) ? JSON.parse(fs.readFileSync(USAGE_FILE, "utf8")) : {};
+  }
+  return usage;
+}
+
+function getKeyUsage(id) {
+  return loadUsage()[id] || { requests: 0, tokens: 0, lastUsedAt: null };
+}
+
+function addUsage(id, { requests = 0, tokens = 0 }) {
+  const counters = getKeyUsage(id);
+  loadUsage()[id] = {
+    requests: counters.requests + requests,
+    tokens: counters.tokens + tokens,
+    lastUsedAt: new Date().toISOString(),
+  };
+
+  if (!usageFlushTimer) {
+    usageFlushTimer = setTimeout(flushUsage, USAGE_FLUSH_MS);
+    usageFlushTimer.unref();
+  }
+}
+
+/**
+ * Write the usage counters to disk
+ */
+function flushUsage() {
+  clearTimeout(usageFlushTimer);
+  usageFlushTimer = null;
+  if (usage) {
+    writeJsonAtomic(USAGE_FILE, usage);
+  }
+}
+
+/**
+ * Count LLM tokens for the key of the request being handled (if any)
+ */
+function recordKeyTokens(tokens) {
+  const keyId = requestContext.getStore();
+  if (keyId && tokens > 0) {
+    addUsage(keyId, { tokens });
+  }
+}
+
+function requestKey(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : req.get("X-API-Key");
+}
+
+function isSameOrigin(req, origin) {
+  return origin === `${req.protocol}://${req.get("host")}`;
+}
+
+function isOriginAllowed(origins, origin) {
+  return origins.includes("*") || origins.includes(origin);
+}
+
+/**
+ * Require a valid API key. Sets req.apiKey ({ id, name, origins, lang, mode })
+ * and counts the request. CORS preflights are let through (browsers send
+ * them without credentials); apiCors() answers them.
+ */
+function requireApiKey(req, res, next) {
+  if (req.method === "OPTIONS") {
+    return next();
+  }
+
+  const entry = findApiKey(requestKey(req));
+  if (!entry) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Send a valid API key as 'Authorization: Bearer <key>'",
+    });
+  }
+
+  // Refuse browser calls from sites the key isn't for, before they cost anything
+  const origin = req.get("Origin");
+  if (origin && !isSameOrigin(req, origin) && !isOriginAllowed(entry.origins, origin)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: `This API key can't be used from ${origin}`,
+    });
+  }
+
+  req.apiKey = publicKeyInfo(entry);
+  addUsage(entry.id, { requests: 1 });
+  requestContext.run(entry.id, next);
+}
+
+/**
+ * CORS for the API: a request's key decides which origins may read the
+ * response. Preflights carry no key, so they are allowed for any origin that
+ * some active key allows.
+ */
+function apiCors() {
+  return cors((req, callback) => {
+    const origin = req.get("Origin");
+    const origins = req.apiKey ? req.apiKey.origins : activeKeys().flatMap((entry) => entry.origins);
+    callback(null, {
+      origin: Boolean(origin) && isOriginAllowed(origins, origin),
+      allowedHeaders: ["Authorization", "Content-Type", "X-API-Key"],
+    });
+  });
+}
+
+/**
+ * Key file summary for /health
+ */
+function getApiKeyStatus() {
+  return { file: KEYS_FILE, activeKeys: activeKeys().length };
+}
+
+export {
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  findApiKey,
+  requireApiKey,
+  apiCors,
+  recordKeyTokens,
+  flushUsage,
+  getApiKeyStatus,
+};
+
+// CLI mode: manage keys (node api-keys.js create|list|revoke)
+if (process.argv[1] && process.argv[1].endsWith("api-keys.js")) {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name) =>
+    args.filter((arg) => arg.startsWith(`--${name}=`)).map((arg) => arg.slice(name.length + 3));
+  const positional = args.filter((arg) => !arg.startsWith("--"));
+
+  try {
+    if (command === "create") {
+      const { key, info } = createApiKey({
+        name: positional.join(" "),
+        origins: option("origin"),
+        lang: option("lang")[0],
+        mode: option("mode")[0],
+      });
+      console.log(`✅ Created ${info.id} (${info.name})`);
+      console.log(`🔑 ${key}`);
+      console.log("   Store it now: it can't be shown again.");
+    } else if (command === "list") {
+      const keys = listApiKeys();
+      if (keys.length === 0) {
+        console.log(`No API keys in ${KEYS_FILE}`);
+      }
+      keys.forEach((info) => {
+        const settings = [
+          `origins: ${info.origins.join(", ") || "none"}`,
+          info.lang && `lang: ${info.lang}`,
+          info.mode && `mode: ${info.mode}`,
+          `${info.usage.requests} requests, ${info.usage.tokens} tokens`,
+        ].filter(Boolean);
+        console.log(
+          `${info.revokedAt ? "⛔" : "🔑"} ${info.id}  ${info.name}  (${settings.join("; ")})`
+        );
+      });
+    } else if (command === "revoke" && positional[0]) {
+      if (!revokeApiKey(positional[0])) {
+        console.error(`❌ No active key with id "${positional[0]}"`);
+        process.exit(1);
+      }
+      console.log(`⛔ Revoked ${positional[0]}`);
+    } else {
+      console.error('Usage: node api-keys.js create "<name>" [--origin=https://site.example ...] [--lang=sv] [--mode=hybrid]');
+      console.error("       node api-keys.js list");
+      console.error("       node api-keys.js revoke <id>");
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Source Citations
+ *
+ * Numbers the retrieved documents as [1], [2], ... in the prompt context and
+ * returns matching source entries (id, type, score, snippet, and the file,
+ * title and section of ingested documents) alongside the answer, so clients
+ * can show where an answer came from.
+ */
+
+const SNIPPET_LENGTH = 160;
+
+const CITATION_INSTRUCTIONS = `Each context entry starts with a number like [1]. When you use information from an
+entry, cite it with its marker right after the statement, e.g. "... [2]."`;
+
+/**
+ * URL-safe form of a name, e.g. "Henrik Jönsson" -> "henrik-jonsson"
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Stable document id, e.g. "en:employee:magnus-ferm" or "en:contact"
+ */
+function documentId(lang, type, name) {
+  return [lang, type, name ? slugify(name) : null].filter(Boolean).join(":");
+}
+
+function createSnippet(content) {
+  const text = content.replace(/\s+/g, " ").trim();
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Build the numbered context string and the sources list.
+ * Entries: [{ id, type, content, score, source?, title?, section? }]
+ */
+function buildCitedContext(entries) {
+  const context = entries
+    .map((entry, i) => {
+      const metadata = entry.type ? ` [${entry.type}]` : "";
+      return `[${i + 1}]${metadata}\n${entry.content}`;
+    })
+    .join("\n\n---\n\n");
+
+  const sources = entries.map((entry, i) => ({
+    n: i + 1,
+    id: entry.id,
+    type: entry.type,
+    score: entry.score ?? null,
+    ...(entry.source && { source: entry.source, title: entry.title, section: entry.section }),
+    snippet: createSnippet(entry.content),
+  }));
+
+  return { context, sources };
+}
+
+/**
+ * Plain-text source list for the CLI
+ */
+function formatSourceList(sources) {
+  if (sources.length === 0) {
+    return "";
+  }
+  return `\nSources:\n${sources
+    .map((source) => {
+      const score = source.score === null ? "" : ` (score: ${Number(source.score.toFixed(3))})`;
+      return `[${source.n}] ${source.id}${score}`;
+    })
+    .join("\n")}`;
+}
+
+export { CITATION_INSTRUCTIONS, slugify, documentId, buildCitedContext, formatSourceList };
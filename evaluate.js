@@ -0,0 +1,449 @@
+/**
+ * Offline Evaluation
+ *
+ * Runs the questions in eval-dataset.json through every retriever and agent
+ * strategy and reports:
+ *
+ * - retrieval: recall@k and MRR against each case's expectedSources
+ *   (keyword, vector, hybrid and database retrievers); a document id such as
+ *   "en:document:remote-work" is found by any of its chunks
+ * - answers: every answerContains fact present, no forbidden fact present
+ *   (every strategy in agent-registry.js)
+ * - rendering: answers rendered as HTML (format=html) against XSS payloads,
+ *   in model output (`markdown`) or in the `question`; every answerContains
+ *   snippet present and no forbidden markup
+ * - guardrails: questions through the prompt-injection check (`injection` is
+ *   the rule expected to fire, or null) and answers through the answer check
+ *   (`verified`), so false positives are caught as well as misses
+ * - server: HTTP requests to server.js, started on a free port with its data
+ *   files in a temporary directory; each must get the expected status
+ *
+ * By default it runs fully offline with the fixture chat model and fixture
+ * embeddings, and with the documents in eval-knowledge/ ingested in place of
+ * knowledge/, so results are deterministic and can gate changes in CI. The
+ * run fails (exit code 1) when a score is below the dataset's thresholds,
+ * any answer contains a forbidden fact or any rendering, guardrail or server check fails.
+ * The thresholds leave a margin below the scores currently reached (see the
+ * README), which are printed in the report.
+ *
+ * Usage: node evaluate.js [--live] [--embeddings=local] [--stages=synonyms,rerank]
+ *                         [--mode=keyword,full] [--json=report.json]
+ *   --live        use the configured LLM and embeddings providers instead of fixtures
+ *   --embeddings  offline embeddings provider: fixture (default) or local
+ *   --stages      retrieval pipeline stages to enable (see retrieval-pipeline.js);
+ *                 cases listing `stages` only run when all of theirs are enabled
+ *
+ * Cases listing `modes` are only answered by those strategies (e.g. not the
+ * full-context one for questions about ingested documents).
+ */
+
+import { spawn } from "child_process";
+import * as fs from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const DATASET_FILE = "eval-dataset.json";
+
+const args = process.argv.slice(2);
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+const live = args.includes("--live");
+const offlineEmbeddings = option("embeddings") || "fixture";
+
+// Providers and stages are read when the agent modules load, so configure them first
+if (option("stages") !== undefined) {
+  process.env.RETRIEVAL_STAGES = option("stages");
+}
+if (!live) {
+  process.env.LLM_PROVIDER = "fixture";
+  process.env.EMBEDDINGS_PROVIDER = offlineEmbeddings;
+  process.env.VECTOR_INDEX_FILE = join(tmpdir(), "faq-eval-vector-index.json");
+  // A fresh knowledge store, imported from faq.json on first use
+  process.env.KNOWLEDGE_DB_FILE = join(tmpdir(), "faq-eval-knowledge.db");
+  ["", "-wal", "-shm"].forEach((suffix) => fs.rmSync(`${process.env.KNOWLEDGE_DB_FILE}${suffix}`, { force: true }));
+  // The fixture documents, ingested before the knowledge base is first loaded
+  process.env.KNOWLEDGE_DIR = "eval-knowledge";
+  process.env.KNOWLEDGE_INDEX_FILE = join(tmpdir(), "faq-eval-knowledge-index.json");
+  const { ingestKnowledge } = await import("./ingest.js");
+  ingestKnowledge();
+}
+
+const { AGENT_MODES, getAgentStrategy } = await import("./agent-registry.js");
+const { findRelevantDocuments, getSearchDocuments } = await import("./agent-simple-rag.js");
+const { findSimilarDocuments } = await import("./agent-with-rag.js");
+const { hybridSearch, databaseSearch } = await import("./agent-rag-example.js");
+const { retrieve, getPipelineSettings, isStageEnabled } = await import("./retrieval-pipeline.js");
+const { renderMarkdown } = await import("./markdown.js");
+const { detectPromptInjection, verifyAnswer } = await import("./guardrails.js");
+
+// Each retriever goes through the stages enabled with RETRIEVAL_STAGES, like in the agents
+const SEARCHES = {
+  keyword: async (query, { lang, k }) =>
+    findRelevantDocuments(query, getSearchDocuments(lang), { lang, topK: k }),
+  vector: async (query, { lang, k }) => findSimilarDocuments(query, { lang, k }),
+  hybrid: async (query, { lang, k }) => hybridSearch(query, { lang, topK: k }),
+  database: async (query, { lang, k }) => databaseSearch(query, { lang, topK: k }),
+};
+const RETRIEVERS = Object.fromEntries(
+  Object.entries(SEARCHES).map(([name, search]) => [
+    name,
+    (question, { lang, k }) => retrieve(question, { lang, search: (query, n) => search(query, { lang, k: n }), topK: k }),
+  ])
+);
+
+// A retrieved id matches an expected one, or is one of its chunks ("...:2")
+const isSource = (retrievedId, expectedId) =>
+  retrievedId === expectedId || retrievedId.startsWith(`${expectedId}:`);
+
+/**
+ * recall@k: share of the expected documents in the top k.
+ * Reciprocal rank: 1 / rank of the first expected document (0 if none).
+ */
+function scoreRetrieval(retrievedIds, expectedIds) {
+  const found = expectedIds.filter((expected) => retrievedIds.some((id) => isSource(id, expected)));
+  const firstHit = retrievedIds.findIndex((id) => expectedIds.some((expected) => isSource(id, expected)));
+  return {
+    recall: found.length / expectedIds.length,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+  };
+}
+
+function includesText(answer, fact) {
+  return answer.toLowerCase().includes(fact.toLowerCase());
+}
+
+/**
+ * Check an answer: every answerContains fact present, no forbidden fact present
+ */
+function checkAnswer(answer, testCase) {
+  const missing = (testCase.answerContains || []).filter((fact) => !includesText(answer, fact));
+  const forbidden = (testCase.forbidden || []).filter((fact) => includesText(answer, fact));
+  return { passed: missing.length === 0 && forbidden.length === 0, missing, forbidden };
+}
+
+async function evaluateRetriever(name, cases, k) {
+  const results = [];
+
+  for (const testCase of cases) {
+    const docs = await RETRIEVERS[name](testCase.question, { lang: testCase.lang, k });
+    const retrieved = docs.map((doc) => doc.id);
+    results.push({ id: testCase.id, retrieved, ...scoreRetrieval(retrieved, testCase.expectedSources) });
+  }
+
+  const mean = (key) => results.reduce((sum, r) => sum + r[key], 0) / (results.length || 1);
+  return { name, recall: mean("recall"), mrr: mean("reciprocalRank"), cases: results };
+}
+
+async function evaluateStrategy(mode, cases) {
+  const strategy = getAgentStrategy(mode);
+  const results = [];
+
+  for (const testCase of cases) {
+    try {
+      const { answer } = await strategy.run(testCase.question, { lang: testCase.lang });
+      results.push({ id: testCase.id, answer, ...checkAnswer(answer, testCase) });
+    } catch (error) {
+      results.push({ id: testCase.id, error: error.message, passed: false, missing: [], forbidden: [] });
+    }
+  }
+
+  const passed = results.filter((r) => r.passed).length;
+  const forbidden = results.filter((r) => r.forbidden.length > 0).length;
+  return { name: mode, passRate: passed / results.length, passed, forbidden, cases: results };
+}
+
+/**
+ * Render each case's Markdown (or the answer to its question) as the web
+ * interface does and check the HTML
+ */
+async function evaluateRendering(cases) {
+  const results = [];
+
+  for (const testCase of cases) {
+    try {
+      const markdown =
+        testCase.markdown ??
+        (await getAgentStrategy(testCase.mode).run(testCase.question, { lang: testCase.lang })).answer;
+      const html = renderMarkdown(markdown);
+      results.push({ id: testCase.id, html, ...checkAnswer(html, testCase) });
+    } catch (error) {
+      results.push({ id: testCase.id, error: error.message, passed: false, missing: [], forbidden: [] });
+    }
+  }
+
+  const passed = results.filter((r) => r.passed).length;
+  return { name: "rendering", passed, cases: results };
+}
+
+/**
+ * Run each case's `question` through the prompt-injection check or its
+ * `answer` through the answer check, without calling an agent
+ */
+function evaluateGuardrails(cases) {
+  const results = cases.map((testCase) => {
+    if (testCase.question !== undefined) {
+      const rule = detectPromptInjection(testCase.question);
+      const expected = testCase.injection ?? null;
+      return { id: testCase.id, got: rule, expected, passed: rule === expected };
+    }
+    const { verified, unknownNames, wrongRoles } = verifyAnswer(testCase.answer, testCase.lang || "en");
+    const got = verified ? "verified" : [...unknownNames, ...wrongRoles].join(", ");
+    return { id: testCase.id, got, expected: testCase.verified ? "verified" : "unverified", passed: verified === testCase.verified };
+  });
+
+  const passed = results.filter((r) => r.passed).length;
+  return { name: "guardrails", passed, cases: results };
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+async function waitForServer(baseUrl, child, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(`${baseUrl}/health`);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error(`server.js didn't start within ${timeoutMs / 1000} seconds`);
+}
+
+/**
+ * Fill "{name}" placeholders in a check's strings: {origin} (the server's
+ * own origin) or a response field an earlier check saved
+ */
+function fillPlaceholders(check, values) {
+  return JSON.parse(
+    JSON.stringify(check).replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder)
+  );
+}
+
+async function runServerCheck(baseUrl, check, keys) {
+  const headers = { ...check.headers, ...(check.key && { Authorization: `Bearer ${keys[check.key]}` }) };
+  let body;
+  if (check.form) {
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+    body = new URLSearchParams(check.form).toString();
+  } else if (check.json) {
+    headers["Content-Type"] = "application/json";
+    body = JSON.stringify(check.json);
+  }
+
+  const response = await fetch(`${baseUrl}${check.path}`, { method: check.method || "GET", headers, body });
+  const text = await response.text();
+  const saved = check.save ? Object.fromEntries(check.save.map((field) => [field, JSON.parse(text)[field]])) : {};
+  return { status: response.status, passed: response.status === check.status, saved };
+}
+
+/**
+ * Start server.js with its data files (leads, API keys, history, knowledge
+ * store) in a temporary directory and run the HTTP checks against it in order.
+ * A check's `key` names an API key to send, created for the run; `save`
+ * lists response fields later checks can use as placeholders.
+ */
+async function evaluateServer(checks) {
+  if (checks.length === 0) {
+    return { name: "server", passed: 0, cases: [] };
+  }
+
+  const dataDir = fs.mkdtempSync(join(tmpdir(), "faq-eval-server-"));
+  const port = await findFreePort();
+  const baseUrl = `http://localhost:${port}`;
+
+  // The key file is read when api-keys.js loads, so point it at the run's directory first
+  process.env.API_KEYS_FILE = join(dataDir, "api-keys.json");
+  const { createApiKey } = await import("./api-keys.js");
+  const keyNames = [...new Set(checks.map((check) => check.key).filter(Boolean))];
+  const keys = Object.fromEntries(keyNames.map((name) => [name, createApiKey({ name }).key]));
+
+  const child = spawn(process.execPath, ["server.js"], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      FAQ_WATCH: "false",
+      LEADS_FILE: join(dataDir, "leads.jsonl"),
+      API_KEY_USAGE_FILE: join(dataDir, "api-key-usage.json"),
+      FAQ_HISTORY_FILE: join(dataDir, "faq-history.jsonl"),
+      KNOWLEDGE_DB_FILE: join(dataDir, "knowledge.db"),
+    },
+    stdio: "ignore",
+  });
+
+  const results = [];
+  const values = { origin: baseUrl };
+  try {
+    await waitForServer(baseUrl, child);
+    for (const check of checks) {
+      try {
+        const { saved, ...result } = await runServerCheck(baseUrl, fillPlaceholders(check, values), keys);
+        Object.assign(values, saved);
+        results.push({ id: check.id, expected: check.status, ...result });
+      } catch (error) {
+        results.push({ id: check.id, expected: check.status, error: error.message, passed: false });
+      }
+    }
+  } catch (error) {
+    results.push({ id: "start", error: error.message, passed: false });
+  } finally {
+    // The server saves its API key usage when stopped; let it finish first
+    const exited = new Promise((resolve) => (child.exitCode !== null ? resolve() : child.once("exit", resolve)));
+    child.kill();
+    await exited;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  const passed = results.filter((r) => r.passed).length;
+  return { name: "server", passed, cases: results };
+}
+
+const format = (value) => value.toFixed(2);
+
+function printRetrieval(reports, thresholds, k) {
+  console.log(`\nRetrieval (recall@${k} / MRR)`);
+  reports.forEach((report) => {
+    const min = thresholds[report.name] || {};
+    const ok = report.recall >= (min.recall ?? 0) && report.mrr >= (min.mrr ?? 0);
+    console.log(
+      `  ${ok ? "✅" : "❌"} ${report.name.padEnd(8)} recall ${format(report.recall)}  MRR ${format(report.mrr)}` +
+        `  (min ${format(min.recall ?? 0)} / ${format(min.mrr ?? 0)})`
+    );
+    report.cases
+      .filter((c) => c.recall < 1)
+      .forEach((c) => console.log(`       - ${c.id}: got ${c.retrieved.join(", ") || "nothing"}`));
+  });
+}
+
+function printAnswers(reports, thresholds) {
+  console.log("\nAnswers (all facts present, nothing forbidden)");
+  reports.forEach((report) => {
+    const ok = report.passRate >= (thresholds[report.name] ?? 0) && report.forbidden === 0;
+    console.log(
+      `  ${ok ? "✅" : "❌"} ${report.name.padEnd(8)} ${report.passed}/${report.cases.length} passed` +
+        `  forbidden ${report.forbidden}  (min ${format(thresholds[report.name] ?? 0)})`
+    );
+    report.cases
+      .filter((c) => !c.passed)
+      .forEach((c) => {
+        const problems = [
+          c.error && `error: ${c.error}`,
+          c.missing.length > 0 && `missing ${c.missing.join(", ")}`,
+          c.forbidden.length > 0 && `FORBIDDEN ${c.forbidden.join(", ")}`,
+        ].filter(Boolean);
+        console.log(`       - ${c.id}: ${problems.join("; ")}`);
+      });
+  });
+}
+
+function printRendering(report) {
+  console.log("\nRendering (format=html, XSS payloads)");
+  const ok = report.passed === report.cases.length;
+  console.log(`  ${ok ? "✅" : "❌"} ${report.passed}/${report.cases.length} safe`);
+  report.cases
+    .filter((c) => !c.passed)
+    .forEach((c) => {
+      const problems = [
+        c.error && `error: ${c.error}`,
+        c.missing.length > 0 && `missing ${c.missing.join(", ")}`,
+        c.forbidden.length > 0 && `FORBIDDEN ${c.forbidden.join(", ")}`,
+      ].filter(Boolean);
+      console.log(`       - ${c.id}: ${problems.join("; ")}`);
+      console.log(`         ${c.html}`);
+    });
+}
+
+function printGuardrails(report) {
+  console.log("\nGuardrails (injection rules and answer checks)");
+  const ok = report.passed === report.cases.length;
+  console.log(`  ${ok ? "✅" : "❌"} ${report.passed}/${report.cases.length} passed`);
+  report.cases
+    .filter((c) => !c.passed)
+    .forEach((c) => console.log(`       - ${c.id}: got ${c.got}, expected ${c.expected}`));
+}
+
+function printServer(report) {
+  console.log("\nServer (HTTP status of each request)");
+  const ok = report.passed === report.cases.length;
+  console.log(`  ${ok ? "✅" : "❌"} ${report.passed}/${report.cases.length} passed`);
+  report.cases
+    .filter((c) => !c.passed)
+    .forEach((c) =>
+      console.log(`       - ${c.id}: ${c.error ? `error: ${c.error}` : `got ${c.status}, expected ${c.expected}`}`)
+    );
+}
+
+async function main() {
+  const dataset = JSON.parse(fs.readFileSync(DATASET_FILE, "utf8"));
+  const k = dataset.k || 5;
+  const modes = option("mode")?.split(",") || AGENT_MODES;
+  const cases = dataset.cases.filter((c) => (c.stages || []).every(isStageEnabled));
+  const retrievalCases = cases.filter((c) => c.expectedSources.length > 0);
+  const { stages } = getPipelineSettings();
+
+  console.log(
+    `🧪 Evaluating ${cases.length} cases ` +
+      `(${live ? "live providers" : `offline: fixture model, ${offlineEmbeddings} embeddings`}` +
+      `${stages.length > 0 ? `, stages: ${stages.join(", ")}` : ""})`
+  );
+
+  const retrieval = [];
+  for (const name of Object.keys(RETRIEVERS)) {
+    retrieval.push(await evaluateRetriever(name, retrievalCases, k));
+  }
+
+  const answers = [];
+  for (const mode of modes) {
+    answers.push(await evaluateStrategy(mode, cases.filter((c) => !c.modes || c.modes.includes(mode))));
+  }
+
+  const rendering = await evaluateRendering(dataset.rendering || []);
+  const guardrails = evaluateGuardrails(dataset.guardrails || []);
+  const server = await evaluateServer(dataset.server || []);
+
+  const { thresholds = {} } = dataset;
+  printRetrieval(retrieval, thresholds.retrieval || {}, k);
+  printAnswers(answers, thresholds.answers || {});
+  printRendering(rendering);
+  printGuardrails(guardrails);
+  printServer(server);
+
+  const failures = [
+    ...retrieval.filter((r) => {
+      const min = thresholds.retrieval?.[r.name] || {};
+      return r.recall < (min.recall ?? 0) || r.mrr < (min.mrr ?? 0);
+    }),
+    ...answers.filter(
+      (a) => a.passRate < (thresholds.answers?.[a.name] ?? 0) || a.forbidden > 0
+    ),
+    ...[rendering, guardrails, server].filter((report) => report.passed < report.cases.length),
+  ];
+
+  const reportFile = option("json");
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify({ k, live, retrieval, answers, rendering, guardrails, server }, null, 2));
+    console.log(`\n📄 Report written to ${reportFile}`);
+  }
+
+  if (failures.length > 0) {
+    console.log(`\n❌ Below threshold: ${failures.map((f) => f.name).join(", ")}`);
+    process.exit(1);
+  }
+  console.log("\n✨ All checks passed");
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,248 @@
+/**
+ * Knowledge Base Schema
+ *
+ * Validates faq.json once at load time so a broken knowledge base fails at
+ * startup with a clear, path-specific message instead of a
+ * "Cannot read properties of undefined" on every question.
+ *
+ * Optional sections are filled with empty defaults, so agents can iterate
+ * over them without checking first.
+ *
+ * CLI: node faq-schema.js [path/to/faq.json]
+ */
+
+import * as fs from "fs";
+import { SUPPORTED_LANGUAGES } from "./language.js";
+
+const FAQ_FILE = "faq.json";
+
+const string = { type: "string" };
+const requiredString = { type: "string", required: true };
+const stringList = { type: "array", items: requiredString, default: [] };
+
+// Schema for one language section (faq.json has one per language)
+const SECTION_SCHEMA = {
+  type: "object",
+  required: true,
+  properties: {
+    companyName: requiredString,
+    founder: requiredString,
+    "co-founders": stringList,
+    tagline: string,
+    story: string,
+    missionStatement: string,
+    employees: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        required: true,
+        properties: {
+          name: requiredString,
+          role: requiredString,
+          area: requiredString,
+        },
+      },
+    },
+    mission: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: true,
+        properties: {
+          title: requiredString,
+          text: requiredString,
+          items: stringList,
+        },
+      },
+    },
+    whyChooseUs: stringList,
+    careers: {
+      type: "object",
+      default: {},
+      properties: {
+        intro: string,
+        culture: stringList,
+        openRoles: stringList,
+      },
+    },
+    hq: {
+      type: "object",
+      default: {},
+      properties: {
+        address: string,
+      },
+    },
+    contact: {
+      type: "object",
+      required: true,
+      properties: {
+        email: requiredString,
+        phone: string,
+        social: { type: "object", default: {} },
+      },
+    },
+  },
+};
+
+/**
+ * Raised when faq.json is missing, unreadable or doesn't match the schema.
+ * `errors` lists every problem as { path, message }.
+ */
+class FaqValidationError extends Error {
+  constructor(file, errors) {
+    super(
+      `Invalid knowledge base ${file}:\n${errors
+        .map((e) => `  - ${e.path}: ${e.message}`)
+        .join("\n")}`
+    );
+    this.name = "FaqValidationError";
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}["${key}"]`;
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return typeof value === "string" ? `"${value}"` : typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting errors.
+ * Returns the value with defaults applied for missing optional parts.
+ */
+function validateNode(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (schema.required) {
+      errors.push({ path, message: `is required (expected ${schema.type})` });
+    }
+    if (schema.default === undefined) {
+      return undefined;
+    }
+    // Validate the default too, so nested defaults are applied
+    return validateNode(schema, structuredClone(schema.default), path, errors);
+  }
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string" || value.trim().length === 0) {
+        errors.push({ path, message: `expected a non-empty string, got ${describe(value)}` });
+      }
+      return value;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push({ path, message: `expected an array, got ${describe(value)}` });
+        return value;
+      }
+      return value.map((item, i) =>
+        validateNode(schema.items, item, joinPath(path, i), errors)
+      );
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ path, message: `expected an object, got ${describe(value)}` });
+        return value;
+      }
+      const result = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        const validated = validateNode(propertySchema, value[key], joinPath(path, key), errors);
+        if (validated !== undefined) {
+          result[key] = validated;
+        }
+      });
+      return result;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate parsed FAQ data. Returns { data, errors } where data has
+ * defaults applied for optional sections.
+ */
+function validateFaqData(raw) {
+  const errors = [];
+
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    return {
+      data: raw,
+      errors: [{ path: "(root)", message: `expected an object, got ${describe(raw)}` }],
+    };
+  }
+
+  const data = { ...raw };
+  SUPPORTED_LANGUAGES.forEach((lang) => {
+    data[lang] = validateNode(SECTION_SCHEMA, raw[lang], lang, errors);
+  });
+
+  return { data, errors };
+}
+
+/**
+ * Format "Label: value" lines, skipping optional fields that are missing
+ */
+function formatFields(fields) {
+  return fields
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(([label, value]) => `${label}: ${value}`)
+    .join("\n");
+}
+
+/**
+ * Read and parse a knowledge base file as is (no schema defaults). Throws
+ * FaqValidationError when it is missing or isn't JSON.
+ */
+function readFaqFile(file = FAQ_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    const message =
+      error.code === "ENOENT" ? "file not found" : `could not be parsed: ${error.message}`;
+    throw new FaqValidationError(file, [{ path: "(file)", message }]);
+  }
+}
+
+/**
+ * Read, parse and validate the knowledge base. Throws FaqValidationError.
+ */
+function loadFaqData(file = FAQ_FILE) {
+  const { data, errors } = validateFaqData(readFaqFile(file));
+  if (errors.length > 0) {
+    throw new FaqValidationError(file, errors);
+  }
+  return data;
+}
+
+export { FAQ_FILE, FaqValidationError, validateFaqData, readFaqFile, loadFaqData, formatFields };
+
+// CLI mode: validate a knowledge base file
+if (process.argv[1] && process.argv[1].endsWith("faq-schema.js")) {
+  const file = process.argv[2] || FAQ_FILE;
+
+  try {
+    const data = loadFaqData(file);
+    console.log(`✅ ${file} is valid`);
+    SUPPORTED_LANGUAGES.forEach((lang) => {
+      const section = data[lang];
+      console.log(
+        `   ${lang}: ${section.employees.length} employees, ${section.mission.length} mission areas, ` +
+          `${section.careers.openRoles.length} open roles`
+      );
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
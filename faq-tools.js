@@ -0,0 +1,117 @@
+/**
+ * Knowledge Base Tools
+ *
+ * Tools over faq.json for the tool-calling agent (agent-with-tools.js), so
+ * the model fetches exactly the facts it needs instead of reading them from
+ * the system prompt. Each tool returns JSON for one language section.
+ */
+
+import { tool } from "langchain";
+import { z } from "zod";
+import { fold, tokenize } from "./keyword-index.js";
+import { findRelevantDocuments, getSearchDocuments } from "./agent-simple-rag.js";
+import { timed } from "./logger.js";
+
+/**
+ * Employees whose name contains every word of `name` and/or whose role or
+ * area shares a (stemmed) term with `area`. No filters lists everyone.
+ */
+function findEmployees(section, lang, { name, area } = {}) {
+  const nameWords = name ? fold(name).split(/\s+/).filter(Boolean) : [];
+  const areaTerms = area ? tokenize(area, lang) : [];
+
+  return section.employees.filter((emp) => {
+    const employeeName = fold(emp.name);
+    if (!nameWords.every((word) => employeeName.includes(word))) {
+      return false;
+    }
+    if (areaTerms.length === 0) {
+      return true;
+    }
+    const employeeTerms = new Set(tokenize(`${emp.role} ${emp.area}`, lang));
+    return areaTerms.some((term) => employeeTerms.has(term));
+  });
+}
+
+/**
+ * A tool whose run time counts as retrieval in the request's timings
+ */
+function retrievalTool(fn, options) {
+  return tool((input, config) => timed("retrievalMs", () => fn(input, config)), options);
+}
+
+/**
+ * Create the tools for one language section of the knowledge base
+ */
+function createFaqTools(section, lang) {
+  const lookupEmployee = retrievalTool(
+    async ({ name, area }) => {
+      const employees = findEmployees(section, lang, { name, area });
+      if (employees.length === 0) {
+        return JSON.stringify({ employees: [], message: "No matching employees" });
+      }
+      return JSON.stringify({ employees });
+    },
+    {
+      name: "lookupEmployee",
+      description:
+        "Find employees by name and/or by what they work with (role, technology or area). " +
+        "Call without arguments to list everyone.",
+      schema: z.object({
+        name: z.string().optional().describe("Full or partial name, e.g. 'Linus'"),
+        area: z.string().optional().describe("Role, technology or area, e.g. '.NET' or 'frontend'"),
+      }),
+    }
+  );
+
+  const listOpenRoles = retrievalTool(
+    async () =>
+      JSON.stringify({
+        intro: section.careers.intro,
+        openRoles: section.careers.openRoles,
+        culture: section.careers.culture,
+      }),
+    {
+      name: "listOpenRoles",
+      description: "List the open positions, with the careers intro and company culture.",
+      schema: z.object({}),
+    }
+  );
+
+  const getContactInfo = retrievalTool(
+    async () =>
+      JSON.stringify({
+        email: section.contact.email,
+        phone: section.contact.phone,
+        address: section.hq.address,
+        social: section.contact.social,
+      }),
+    {
+      name: "getContactInfo",
+      description: "Get the company's email, phone number, office address and social media links.",
+      schema: z.object({}),
+    }
+  );
+
+  const searchFaq = retrievalTool(
+    async ({ query }) => {
+      const results = findRelevantDocuments(query, getSearchDocuments(lang), { lang });
+      return JSON.stringify({
+        results: results.map((doc) => ({ id: doc.id, type: doc.type, content: doc.content })),
+      });
+    },
+    {
+      name: "searchFaq",
+      description:
+        "Keyword search over the whole knowledge base (company story, mission areas, employees, " +
+        "contact). Use it for anything the other tools don't cover.",
+      schema: z.object({
+        query: z.string().describe("What to look for"),
+      }),
+    }
+  );
+
+  return [lookupEmployee, listOpenRoles, getContactInfo, searchFaq];
+}
+
+export { createFaqTools, findEmployees };
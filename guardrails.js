@@ -0,0 +1,533 @@
+/**
+ * Guardrails
+ *
+ * Checks around the agents so that off-topic, unanswerable or manipulative
+ * questions get an honest "I don't know" and a pointer to a human (the
+ * handoff message, with contact.email) instead of a confident guess:
+ *
+ * - prompt-injection detection on incoming questions
+ * - an out-of-scope classifier: terms shared with the knowledge base, or the
+ *   chat model with GUARDRAIL_CLASSIFIER=llm
+ * - a relevance threshold on retrieval: the retrieval agents hand off when no
+ *   document scores high enough (see noRelevantDocuments())
+ * - a post-answer check that the people named in an answer, and the roles
+ *   given to them, exist in faq.json
+ *
+ * Every strategy in agent-registry.js is wrapped with wrapRun()/wrapStream().
+ */
+
+import { createChatModel } from "./llm-provider.js";
+import { chunkText } from "./agent-streaming.js";
+import { buildRetrievalQuery } from "./session-store.js";
+import { LABELS, SUPPORTED_LANGUAGES, resolveLanguage } from "./language.js";
+import { getFaqData, getIngestedDocuments, onFaqDataChange } from "./knowledge-base.js";
+import { tokenize, fold } from "./keyword-index.js";
+import { logger, setRequestFields } from "./logger.js";
+import { expandWithSynonyms, isStageEnabled } from "./retrieval-pipeline.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const SETTINGS = {
+  injection: process.env.GUARDRAIL_INJECTION !== "false",
+  // "keyword", "llm" or "off"
+  classifier: process.env.GUARDRAIL_CLASSIFIER || "keyword",
+  verifyAnswers: process.env.GUARDRAIL_VERIFY_ANSWERS !== "false",
+};
+
+// {company} and {email} are filled in from faq.json; override per language
+// with HANDOFF_MESSAGE_EN / HANDOFF_MESSAGE_SV
+const DEFAULT_HANDOFF_MESSAGES = {
+  en:
+    "I'm sorry, I can only answer questions about {company}, and I don't have information about that. " +
+    "Please email us at {email} and someone from the team will get back to you.",
+  sv:
+    "Tyvärr kan jag bara svara på frågor om {company}, och det har jag ingen information om. " +
+    "Mejla oss på {email} så återkommer någon från teamet till dig.",
+};
+
+// Questions using these words are about the company even when faq.json
+// doesn't happen to contain them (greetings included, so "hi" isn't refused)
+const TOPIC_WORDS = {
+  en: [
+    "company", "business", "team", "people", "staff", "employee", "colleague", "consultant",
+    "job", "career", "role", "position", "vacancy", "hire", "hiring", "apply", "application",
+    "work", "office", "location", "contact", "email", "phone", "address", "founder", "owner",
+    "ceo", "mission", "vision", "values", "culture", "service", "offer", "client", "customer",
+    "project", "technology", "tech", "developer", "expertise", "skills",
+    "hi", "hello", "hey", "thanks", "thank",
+  ],
+  sv: [
+    "företag", "bolag", "team", "personal", "anställd", "medarbetare", "kollega", "konsult",
+    "jobb", "karriär", "roll", "tjänst", "ledig", "anställa", "rekrytera", "ansöka", "ansökan",
+    "jobba", "arbeta", "kontor", "plats", "kontakt", "mejl", "mail", "epost", "telefon", "adress",
+    "grundare", "ägare", "vd", "uppdrag", "vision", "värderingar", "kultur", "erbjuda", "kund",
+    "projekt", "teknik", "utvecklare", "kompetens",
+    "hej", "hallå", "tack",
+  ],
+};
+
+// [rule, pattern] for common prompt-injection phrasings (English and Swedish).
+// The instructions must be the assistant's ("all previous instructions",
+// "your rules", "system prompt"), so "ignore the previous rules about dress
+// code" or "show me your instructions for applying" are ordinary questions.
+const INJECTION_PATTERNS = [
+  ["ignore-instructions", /\b(ignore|disregard|forget|override|bypass)\b[^.?!\n]{0,40}\b((all|any|previous|prior|above|earlier|preceding)\s+(\w+\s+)?(instructions|prompts?)|your\s+(\w+\s+)?(instructions|prompts?|rules|guidelines)|system (prompt|message))\b/i],
+  ["reveal-prompt", /\b(reveal|show|print|repeat|output|leak)\b[^.?!\n]{0,40}\b(system prompt|system message|your prompt|(your|the) (initial|original|hidden|secret|system|previous|above) (instructions|prompt))\b/i],
+  ["role-override", /\b(you are now|from now on,? you|pretend (to be|that you|you are)|act as if you|roleplay as)\b/i],
+  ["jailbreak", /\b(jailbreak|DAN mode|developer mode)\b/i],
+  ["role-markers", /(^|\n)\s*(system|assistant)\s*:|<\/?(system|assistant|instructions?)>|\[\/?INST\]|<\|im_(start|end)\|>/i],
+  ["ignore-instructions-sv", /(ignorera|strunta i|glöm|bortse från)[^.?!\n]{0,40}((alla|tidigare|föregående|ovanstående|dina) (\p{L}+ )?(instruktioner|regler|prompt)|systemprompt)/iu],
+  ["reveal-prompt-sv", /(visa|avslöja|skriv ut|upprepa)[^.?!\n]{0,40}(systemprompt|systemmeddelande|din prompt|dina (ursprungliga|hemliga|dolda|tidigare) instruktioner)/iu],
+  ["role-override-sv", /(du är nu|från och med nu är du|låtsas att du|låtsas vara)/i],
+];
+
+// Per language: { vocabulary, people, titles, words }, rebuilt when faq.json changes
+const knowledgeCache = new Map();
+onFaqDataChange(() => knowledgeCache.clear());
+
+function collectStrings(value) {
+  if (typeof value === "string") {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(collectStrings);
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(collectStrings);
+  }
+  return [];
+}
+
+/**
+ * What the checks need to know about one language of the knowledge base
+ * (its faq.json section and ingested documents)
+ */
+function getKnowledge(lang) {
+  if (!knowledgeCache.has(lang)) {
+    const data = getFaqData();
+    const section = data[lang];
+    const labels = LABELS[lang];
+    const documents = getIngestedDocuments();
+    const text = [
+      ...collectStrings(section),
+      ...documents.filter((doc) => doc.lang === lang).map((doc) => doc.content),
+    ].join("\n");
+
+    const people = [
+      ...section.employees.map((emp) => ({ name: emp.name, roles: [emp.role] })),
+      { name: section.founder, roles: [labels.founder] },
+      ...section["co-founders"].map((name) => ({ name, roles: [labels.coFounders.replace(/s$/, "")] })),
+    ];
+    // One entry per person, with every role they have
+    const byName = new Map();
+    people.forEach(({ name, roles }) => {
+      const person = byName.get(name) || { name, roles: [] };
+      person.roles.push(...roles.map((role) => role.toLowerCase()));
+      byName.set(name, person);
+    });
+
+    knowledgeCache.set(lang, {
+      // Stemmed terms of the knowledge base, its labels and the topic words
+      vocabulary: new Set(
+        tokenize([text, ...Object.values(labels), ...TOPIC_WORDS[lang]].join(" "), lang)
+      ),
+      people: [...byName.values()],
+      titles: [
+        ...new Set([
+          ...[...byName.values()].flatMap((person) => person.roles),
+          ...(section.careers?.openRoles || []).map((role) => role.toLowerCase()),
+        ]),
+      ],
+      // Every word in faq.json, the ingested documents and the labels (all
+      // languages), folded, for spotting invented names
+      words: new Set(
+        SUPPORTED_LANGUAGES.flatMap((l) => [...collectStrings(data[l]), ...Object.values(LABELS[l])])
+          .concat(documents.map((doc) => doc.content))
+          .join(" ")
+          .split(/[^\p{L}\p{N}]+/u)
+          .filter(Boolean)
+          .map(fold)
+      ),
+    });
+  }
+  return knowledgeCache.get(lang);
+}
+
+/**
+ * The handoff message for a language, pointing to contact.email
+ */
+function handoffMessage(lang) {
+  const section = getFaqData()[lang];
+  const template = process.env[`HANDOFF_MESSAGE_${lang.toUpperCase()}`] || DEFAULT_HANDOFF_MESSAGES[lang];
+  return template
+    .replaceAll("{company}", section.companyName)
+    .replaceAll("{email}", section.contact.email);
+}
+
+/**
+ * System prompt lines that keep the model to its context
+ */
+function groundingInstructions(lang) {
+  const { email } = getFaqData()[lang].contact;
+  return (
+    "Answer only from this information. If it doesn't contain the answer, say that you don't " +
+    `know and suggest emailing ${email}. Never make up people, roles or other facts.`
+  );
+}
+
+/**
+ * An agent result that hands the question off instead of answering it.
+ * reason: "prompt_injection", "out_of_scope", "no_relevant_documents" or
+ * "unverified_answer"
+ */
+function refusal(reason, lang) {
+  return { answer: handoffMessage(lang), sources: [], refused: reason };
+}
+
+/**
+ * Used by the retrieval agents when no document passes their relevance threshold
+ */
+function noRelevantDocuments(lang) {
+  recordGuardrail({ reason: "no_relevant_documents" });
+  return refusal("no_relevant_documents", lang);
+}
+
+/**
+ * Stream a finished result the way the agents stream answers
+ */
+async function* streamResult({ answer, sources, refused }) {
+  yield { type: "sources", sources };
+  yield { type: "token", text: answer, refused };
+}
+
+/**
+ * The rule a question trips, or null if it doesn't look like prompt injection
+ */
+function detectPromptInjection(question) {
+  const match = INJECTION_PATTERNS.find(([, pattern]) => pattern.test(question));
+  return match ? match[0] : null;
+}
+
+/**
+ * In scope when the question shares a (stemmed) term with the knowledge base
+ * or the topic words. Questions made only of stop words ("who are you?") get
+ * the benefit of the doubt. With the synonyms retrieval stage, the synonyms
+ * count too ("boss" is in scope through "ceo").
+ */
+function classifyByKeywords(query, lang) {
+  const expanded = isStageEnabled("synonyms") ? expandWithSynonyms(query, lang) : query;
+  const terms = tokenize(expanded, lang);
+  const { vocabulary } = getKnowledge(lang);
+  return terms.length === 0 || terms.some((term) => vocabulary.has(term));
+}
+
+/**
+ * Ask the chat model. Returns true/false, or null when the reply isn't one of
+ * the two labels (e.g. the offline fixture model).
+ */
+async function classifyWithModel(query, lang) {
+  const { companyName } = getFaqData()[lang];
+  const response = await createChatModel().invoke([
+    [
+      "system",
+      `You decide whether a question is for the FAQ assistant of ${companyName}, a software ` +
+        "consultancy. In scope: the company, its people and their roles, mission, services, " +
+        "technologies, careers and contact details, and greetings. Out of scope: everything " +
+        "else (general knowledge, homework, coding help, other companies). " +
+        "Reply with exactly one word: IN_SCOPE or OUT_OF_SCOPE.",
+    ],
+    ["human", query],
+  ]);
+  const label = chunkText(response.content).toUpperCase();
+  if (label.includes("OUT_OF_SCOPE")) {
+    return false;
+  }
+  return label.includes("IN_SCOPE") ? true : null;
+}
+
+/**
+ * Is the question something the assistant should answer? Follow-ups are
+ * classified together with the previous question ("what does he do?").
+ */
+async function isInScope(question, { lang, history = [] } = {}) {
+  const query = buildRetrievalQuery(question, history);
+
+  if (SETTINGS.classifier === "llm") {
+    try {
+      const inScope = await classifyWithModel(query, lang);
+      if (inScope !== null) {
+        return inScope;
+      }
+    } catch (error) {
+      logger.warn("Out-of-scope classifier failed, using keywords", { error: error.message });
+    }
+  }
+  return classifyByKeywords(query, lang);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Two or three capitalized words in a row: how names appear in answers
+const NAME_CANDIDATE = /\p{Lu}\p{Ll}+(?:[-'’]\p{L}+)?(?:\s+\p{Lu}\p{Ll}+(?:[-'’]\p{L}+)?){1,2}/gu;
+
+// Capitalized words are only taken for a person's name next to these:
+// role words besides the titles in faq.json ("our CTO John Smith", "John
+// Smith is a developer"), verbs after a name ("John Smith works ...") and
+// phrases before one ("founded by John Smith"). Products ("Microsoft
+// Azure"), title case and sentence starts ("Great Question!") are left alone.
+const PERSON_CONTEXT = {
+  en: {
+    roles: [
+      "ceo", "cto", "cfo", "coo", "founder", "co-founder", "owner", "developer", "engineer", "designer",
+      "manager", "consultant", "architect", "lead", "head", "director", "employee", "colleague",
+    ],
+    linkers: ["is", "was", "as", "works as", "a", "an", "our", "the", "their", "one of our"],
+    verbs: ["works", "worked", "leads", "led", "founded", "co-founded", "joined", "handles", "manages", "specializes", "specialises"],
+    introducers: ["founded by", "co-founded by", "led by", "run by", "managed by"],
+  },
+  sv: {
+    roles: [
+      "vd", "grundare", "medgrundare", "ägare", "utvecklare", "ingenjör", "designer", "chef",
+      "konsult", "arkitekt", "anställd", "kollega",
+    ],
+    linkers: ["är", "var", "som", "jobbar som", "arbetar som", "en", "ett", "vår", "vårt", "våra"],
+    verbs: ["jobbar", "arbetar", "leder", "ledde", "grundade", "ansvarar", "började"],
+    introducers: ["grundades av", "grundat av", "leds av"],
+  },
+};
+
+const alternation = (phrases) =>
+  phrases
+    .map((phrase) => escapeRegExp(phrase).replace(/ /g, "\\s+"))
+    .sort((a, b) => b.length - a.length)
+    .join("|");
+
+/**
+ * A test (text, start, end) => boolean for whether the capitalized words at
+ * start..end are used as a person's name (see PERSON_CONTEXT)
+ */
+function personContextTest(lang, titles) {
+  const { roles, linkers, verbs, introducers } = PERSON_CONTEXT[lang];
+  const role = `(?:${alternation([...titles, ...roles])})`;
+  const before = [
+    // "our CEO John Smith", "Our CEO is John Smith", "co-founder: John Smith"
+    new RegExp(`(?<![\\p{L}-])${role}(?:\\s+(?:is|was|är|var))?[\\s,:]*$`, "u"),
+    // "founded by John Smith"
+    new RegExp(`(?<![\\p{L}])(?:${alternation(introducers)})\\s+$`, "u"),
+  ];
+  const after = [
+    // "John Smith is our CEO", "John Smith (Developer)", "John Smith, a senior developer"
+    new RegExp(
+      `^(?:\\s*[,(:–—-]\\s*|\\s+)(?:(?:${alternation(linkers)})\\s+)*(?:[\\p{L}-]+\\s+){0,2}${role}(?![\\p{L}])`,
+      "u"
+    ),
+    // "John Smith works with React"
+    new RegExp(`^\\s+(?:${alternation(verbs)})(?![\\p{L}])`, "u"),
+  ];
+
+  return (text, start, end) => {
+    const preceding = text.slice(Math.max(0, start - 60), start).toLowerCase();
+    const following = text.slice(end, end + 80).toLowerCase();
+    return before.some((pattern) => pattern.test(preceding)) || after.some((pattern) => pattern.test(following));
+  };
+}
+
+/**
+ * Check the people named in an answer against faq.json:
+ *
+ * - unknownNames: capitalized names made of words that appear nowhere in the
+ *   knowledge base (e.g. an invented "John Smith"), where the text around
+ *   them says they are a person (see PERSON_CONTEXT)
+ * - wrongRoles: a known person followed by a role they don't have
+ *   ("Linus Wijk is our CEO"); the first role title after the name in the
+ *   same sentence is taken as the claim, unless it introduces the next name
+ *   ("founded by Jenny, together with co-founder Patrik")
+ *
+ * Returns { verified, unknownNames, wrongRoles: [{ name, claimed, actual }] }
+ */
+function verifyAnswer(answer, lang) {
+  const { people, titles, words } = getKnowledge(lang);
+  const stopWord = (word) => tokenize(word, lang).length === 0;
+
+  // Where each known person is mentioned, in order
+  const mentions = people
+    .flatMap((person) =>
+      [...answer.matchAll(new RegExp(escapeRegExp(person.name), "g"))].map((match) => ({
+        person,
+        start: match.index,
+        end: match.index + person.name.length,
+      }))
+    )
+    .sort((a, b) => a.start - b.start);
+
+  const wrongRoles = [];
+  mentions.forEach(({ person, end }, i) => {
+    const nextMention = mentions[i + 1]?.start ?? answer.length;
+    const window = answer.slice(end, nextMention);
+    const sentence = window.split(/[.!?\n]/)[0].toLowerCase();
+    const introducesNext = i + 1 < mentions.length && sentence.length === window.length;
+
+    // The earliest title in the sentence, longest first at the same position
+    const claim = titles
+      .map((title) => ({
+        title,
+        index: sentence.search(new RegExp(`(?<![\\p{L}-])${escapeRegExp(title)}(?![\\p{L}])`, "u")),
+      }))
+      .filter(({ index }) => index !== -1)
+      .filter(({ title, index }) => !(introducesNext && sentence.slice(index + title.length).trim() === ""))
+      .sort((a, b) => a.index - b.index || b.title.length - a.title.length)[0];
+
+    if (claim && !person.roles.some((role) => role.includes(claim.title))) {
+      wrongRoles.push({ name: person.name, claimed: claim.title, actual: person.roles });
+    }
+  });
+
+  // Blank out known names and Markdown emphasis, then look for other names
+  const rest = people
+    .reduce((text, person) => text.replace(new RegExp(escapeRegExp(person.name), "g"), " · "), answer)
+    .replace(/[*_]/g, "");
+  const isPerson = personContextTest(lang, titles);
+  const unknownNames = [
+    ...new Set(
+      [...rest.matchAll(NAME_CANDIDATE)]
+        .filter((match) => isPerson(rest, match.index, match.index + match[0].length))
+        .map(([candidate]) => candidate)
+        .filter((candidate) =>
+          candidate
+            .split(/\s+/)
+            .some(
+              (word) =>
+                !stopWord(word) &&
+                !word
+                  .replace(/['’]s$/, "")
+                  .split(/[-'’]/)
+                  .every((part) => words.has(fold(part)))
+            )
+        )
+    ),
+  ];
+
+  return {
+    verified: unknownNames.length === 0 && wrongRoles.length === 0,
+    unknownNames,
+    wrongRoles,
+  };
+}
+
+/**
+ * Add what a guardrail did to the request's log entry
+ */
+function recordGuardrail(details) {
+  setRequestFields({ guardrail: details });
+}
+
+/**
+ * Checks before the agent runs. Returns a refusal, or null to go ahead.
+ */
+async function checkQuestion(question, options) {
+  const lang = resolveLanguage(options.lang, question);
+
+  if (SETTINGS.injection) {
+    const rule = detectPromptInjection(question);
+    if (rule) {
+      recordGuardrail({ reason: "prompt_injection", rule });
+      return refusal("prompt_injection", lang);
+    }
+  }
+
+  if (SETTINGS.classifier !== "off" && !(await isInScope(question, { ...options, lang }))) {
+    recordGuardrail({ reason: "out_of_scope", classifier: SETTINGS.classifier });
+    return refusal("out_of_scope", lang);
+  }
+
+  return null;
+}
+
+/**
+ * Check an answer after the agent ran. Returns a refusal, or null to keep it.
+ */
+function checkAnswer(question, answer, options) {
+  if (!SETTINGS.verifyAnswers) {
+    return null;
+  }
+  const lang = resolveLanguage(options.lang, question);
+  const { verified, unknownNames, wrongRoles } = verifyAnswer(answer, lang);
+  if (verified) {
+    return null;
+  }
+  recordGuardrail({ reason: "unverified_answer", unknownNames, wrongRoles });
+  return refusal("unverified_answer", lang);
+}
+
+/**
+ * Wrap an agent's run(question, { history, lang }) with the guardrails.
+ * Refused questions and withdrawn answers come back as refusal() results.
+ */
+function wrapRun(run) {
+  return async (question, options = {}) => {
+    const refused = await checkQuestion(question, options);
+    if (refused) {
+      return refused;
+    }
+
+    const result = await run(question, options);
+    if (result.refused) {
+      return result;
+    }
+    return checkAnswer(question, result.answer, options) || result;
+  };
+}
+
+/**
+ * Streaming counterpart of wrapRun(). The answer can only be checked once it
+ * has been streamed, so a withdrawn answer ends with a
+ * { type: "replace", text, refused } event carrying the handoff message.
+ */
+function wrapStream(stream) {
+  return async function* (question, options = {}) {
+    const refused = await checkQuestion(question, options);
+    if (refused) {
+      yield* streamResult(refused);
+      return;
+    }
+
+    let answer = "";
+    let agentRefused = false;
+    for await (const event of stream(question, options)) {
+      if (event.type === "token") {
+        answer += event.text;
+        agentRefused = agentRefused || Boolean(event.refused);
+      }
+      yield event;
+    }
+
+    const withdrawn = agentRefused ? null : checkAnswer(question, answer, options);
+    if (withdrawn) {
+      yield { type: "replace", text: withdrawn.answer, refused: withdrawn.refused };
+    }
+  };
+}
+
+/**
+ * Settings (for /health)
+ */
+function getGuardrailSettings() {
+  return { ...SETTINGS };
+}
+
+export {
+  wrapRun,
+  wrapStream,
+  refusal,
+  noRelevantDocuments,
+  streamResult,
+  handoffMessage,
+  groundingInstructions,
+  detectPromptInjection,
+  isInScope,
+  verifyAnswer,
+  getGuardrailSettings,
+};
@@ -0,0 +1,468 @@
+/**
+ * Document Ingestion
+ *
+ * Reads the Markdown (.md), HTML (.html) and plain-text (.txt) files in
+ * knowledge/ (KNOWLEDGE_DIR), strips the markup and splits each section into
+ * overlapping chunks that remember the document title and heading they came
+ * from. The chunks are saved to knowledge-index.json (KNOWLEDGE_INDEX_FILE),
+ * which the knowledge base loads next to faq.json, so policies, case studies
+ * or blog posts are searched by the keyword and vector retrievers alongside
+ * the FAQ documents.
+ *
+ * A file's language comes from its first directory (knowledge/sv/...), a
+ * `lang` front matter field or <html lang>, and is detected from the text
+ * otherwise.
+ *
+ * Usage: node ingest.js [--force]   (npm run ingest)
+ *   Reports the files added, changed and removed since the last run, then
+ *   syncs the vector index; --force re-embeds every document.
+ */
+
+import { createHash } from "crypto";
+import * as fs from "fs";
+import { extname, join, relative, sep } from "path";
+import { detectLanguage, isSupportedLanguage } from "./language.js";
+import { documentId } from "./citations.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || "knowledge";
+const KNOWLEDGE_INDEX_FILE = process.env.KNOWLEDGE_INDEX_FILE || "knowledge-index.json";
+const INDEX_VERSION = 1;
+
+// Characters per chunk, and how much of the previous chunk each one repeats
+const CHUNK_SIZE = Number(process.env.KNOWLEDGE_CHUNK_SIZE) || 1000;
+const CHUNK_OVERLAP = Number(process.env.KNOWLEDGE_CHUNK_OVERLAP ?? 200);
+
+const FORMATS = { ".md": "markdown", ".markdown": "markdown", ".html": "html", ".htm": "html", ".txt": "text" };
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// HTML elements that end a line of text
+const BLOCK_TAGS =
+  /<\/?(p|div|br|li|ul|ol|tr|td|th|table|section|article|header|footer|blockquote|pre|dd|dt|figcaption)\b[^>]*>/gi;
+
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex").slice(0, 12);
+}
+
+/**
+ * "remote-work_policy.md" -> "Remote work policy"
+ */
+function titleFromFileName(path) {
+  const name = path.split("/").pop().replace(/\.[^.]+$/, "").replace(/[-_]+/g, " ").trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function cleanText(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(BLOCK_TAGS, "\n").replace(/<[^>]*>/g, ""));
+}
+
+/**
+ * Inline Markdown to plain text: links and images keep their text, emphasis
+ * and code markers are dropped
+ */
+function stripInlineMarkdown(line) {
+  return stripTags(
+    line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+      .replace(/`([^`]*)`/g, "$1")
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])/g, "$1$2")
+      .replace(/~~(.+?)~~/g, "$1")
+  );
+}
+
+/**
+ * Split YAML-style front matter (simple `key: value` lines) from a Markdown file
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+  const fields = Object.fromEntries(
+    match[1]
+      .split(/\r?\n/)
+      .map((line) => line.match(/^(\w+):\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, key, value]) => [key.toLowerCase(), value.replace(/^["']|["']$/g, "").trim()])
+  );
+  return { fields, body: text.slice(match[0].length) };
+}
+
+/**
+ * Sections of a Markdown document. Each section has the path of headings
+ * above it (["Remote work", "Equipment"]) and its plain text.
+ */
+function parseMarkdown(text) {
+  const { fields, body } = parseFrontMatter(text);
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let inCode = false;
+
+  const flush = () => {
+    sections.push({ headings: [...headings], text: cleanText(lines.join("\n")) });
+    lines = [];
+  };
+
+  body.split(/\r?\n/).forEach((line) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) {
+      lines.push(line);
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      headings.length = heading[1].length - 1;
+      headings[heading[1].length - 1] = stripInlineMarkdown(heading[2]);
+      return;
+    }
+
+    // Reference definitions, rules and table separators carry no text
+    if (/^\s*\[[^\]]+\]:\s/.test(line) || /^\s*([-*_]\s*){3,}$/.test(line) || /^\s*\|?[\s:|-]+\|[\s:|-]*$/.test(line)) {
+      lines.push("");
+      return;
+    }
+
+    lines.push(
+      stripInlineMarkdown(
+        line
+          .replace(/^\s*>+\s?/, "")
+          .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, "")
+          .replace(/^\s*\||\|\s*$/g, "")
+          .replace(/\s*\|\s*/g, " | ")
+      )
+    );
+  });
+  flush();
+
+  const title = fields.title || sections.find((s) => s.headings[0])?.headings[0] || null;
+  return { title, lang: fields.lang || null, sections: sections.map(withoutHoles) };
+}
+
+/**
+ * Sections of an HTML document, split at <h1>-<h6>. Scripts, styles and
+ * comments are dropped.
+ */
+function parseHtml(html) {
+  const lang = html.match(/<html\b[^>]*\blang=["']?([a-z]{2})/i)?.[1].toLowerCase() || null;
+  const pageTitle = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|head|nav)\b[\s\S]*?<\/\1>/gi, "");
+
+  const sections = [];
+  const headings = [];
+  const pattern = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    sections.push({ headings: [...headings], text: cleanText(stripTags(body.slice(last, match.index))) });
+    const level = Number(match[1]);
+    headings.length = level - 1;
+    headings[level - 1] = cleanText(stripTags(match[2])).replace(/\s+/g, " ");
+    last = pattern.lastIndex;
+  }
+  sections.push({ headings: [...headings], text: cleanText(stripTags(body.slice(last))) });
+
+  const title =
+    (pageTitle && cleanText(stripTags(pageTitle[1]))) ||
+    sections.find((s) => s.headings[0])?.headings[0] ||
+    null;
+  return { title, lang, sections: sections.map(withoutHoles) };
+}
+
+function parseText(text) {
+  return { title: null, lang: null, sections: [{ headings: [], text: cleanText(text) }] };
+}
+
+// An <h3> straight under an <h1> leaves a gap in the heading path
+function withoutHoles(section) {
+  return { ...section, headings: section.headings.filter(Boolean) };
+}
+
+/**
+ * Parse a document into { title, lang, sections: [{ headings, text }] }.
+ * format: "markdown", "html" or "text"
+ */
+function parseDocument(text, format) {
+  if (format === "markdown") {
+    return parseMarkdown(text);
+  }
+  if (format === "html") {
+    return parseHtml(text);
+  }
+  return parseText(text);
+}
+
+/**
+ * Pieces of at most `size` characters: paragraphs, then sentences, then words
+ */
+function splitUnits(text, size) {
+  return text.split(/\n{2,}/).flatMap((paragraph) => {
+    if (paragraph.length <= size) {
+      return [paragraph];
+    }
+    return paragraph.split(/(?<=[.!?])\s+/).flatMap((sentence) => {
+      if (sentence.length <= size) {
+        return [sentence];
+      }
+      const words = [];
+      let current = "";
+      sentence.split(/\s+/).forEach((word) => {
+        if (current && current.length + word.length + 1 > size) {
+          words.push(current);
+          current = "";
+        }
+        current = current ? `${current} ${word}` : word;
+      });
+      return current ? [...words, current] : words;
+    });
+  });
+}
+
+/**
+ * Split text into chunks of about `size` characters. Each chunk starts with
+ * the last paragraphs or sentences of the previous one, up to `overlap`
+ * characters, so a fact split across a boundary is still found whole.
+ */
+function splitIntoChunks(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  splitUnits(text, size).forEach((unit) => {
+    if (current.length > 0 && length + unit.length + 1 > size) {
+      chunks.push(current.join("\n"));
+      // Carry the tail of this chunk over into the next
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i -= 1) {
+        if (carriedLength + current[i].length + 1 > overlap || carriedLength + current[i].length + unit.length + 1 > size) {
+          break;
+        }
+        carried.unshift(current[i]);
+        carriedLength += current[i].length + 1;
+      }
+      current = carried;
+      length = carriedLength;
+    }
+    current.push(unit);
+    length += unit.length + 1;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current.join("\n"));
+  }
+  return chunks;
+}
+
+/**
+ * Language of a file: knowledge/<lang>/..., then the document's own, then detected
+ */
+function documentLanguage(path, parsed) {
+  const folder = path.split("/")[0];
+  if (isSupportedLanguage(folder)) {
+    return folder;
+  }
+  if (isSupportedLanguage(parsed.lang)) {
+    return parsed.lang;
+  }
+  return detectLanguage(parsed.sections.map((section) => section.text).join(" "));
+}
+
+/**
+ * Parse one file. path is relative to the knowledge directory, with "/".
+ * Returns { lang, title, name, sections }, where name is the path without the
+ * language folder and extension ("policies/remote-work"), used in ids.
+ */
+function readDocument(path, text) {
+  const parsed = parseDocument(text, FORMATS[extname(path).toLowerCase()]);
+  const lang = documentLanguage(path, parsed);
+  return {
+    lang,
+    title: parsed.title || titleFromFileName(path),
+    name: path.replace(new RegExp(`^${lang}/`), "").replace(/\.[^.]+$/, ""),
+    sections: parsed.sections,
+  };
+}
+
+/**
+ * Chunks of one file (see readDocument). Each chunk is { id, lang, source,
+ * title, section, content }, where content starts with the title and section
+ * so both retrievers can match on them.
+ */
+function chunkDocument(path, text, options = {}) {
+  const { lang, title, name, sections } = readDocument(path, text);
+
+  // Ids don't repeat the language folder: en:document:policies-remote-work:1
+  const chunks = sections
+    .filter((section) => section.text)
+    .flatMap((section) => {
+      // The title is usually the first heading; don't repeat it
+      const headings = section.headings[0] === title ? section.headings.slice(1) : section.headings;
+      const sectionName = headings.join(" > ") || null;
+      const heading = [title, ...headings].join(" > ");
+      return splitIntoChunks(section.text, options).map((chunk) => ({
+        section: sectionName,
+        content: `${heading}\n${chunk}`,
+      }));
+    });
+
+  return chunks.map((chunk, i) => ({
+    id: `${documentId(lang, "document", name)}:${i + 1}`,
+    lang,
+    source: path,
+    title,
+    ...chunk,
+  }));
+}
+
+/**
+ * Supported files under dir, as paths relative to it ("sv/policy.md"), sorted
+ */
+function listKnowledgeFiles(dir = KNOWLEDGE_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile() && FORMATS[extname(entry.name).toLowerCase()])
+    .map((entry) => relative(dir, join(entry.parentPath ?? entry.path, entry.name)).split(sep).join("/"))
+    .filter((path) => !path.split("/").some((part) => part.startsWith(".")))
+    .sort();
+}
+
+/**
+ * The saved index, or an empty one before the first ingest
+ */
+function readKnowledgeIndex(file = KNOWLEDGE_INDEX_FILE) {
+  if (!fs.existsSync(file)) {
+    return { version: INDEX_VERSION, updatedAt: null, files: {} };
+  }
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (saved.version !== INDEX_VERSION) {
+    throw new Error(`${file} was written by another version; run npm run ingest`);
+  }
+  return saved;
+}
+
+/**
+ * Every ingested chunk, in file order (see chunkDocument)
+ */
+function loadIngestedDocuments(file = KNOWLEDGE_INDEX_FILE) {
+  return Object.values(readKnowledgeIndex(file).files).flatMap((entry) => entry.chunks);
+}
+
+/**
+ * Read the knowledge directory, save the chunks and report what changed
+ * since the last ingest: { added, changed, removed, unchanged } (file paths)
+ * and the number of chunks.
+ */
+function ingestKnowledge({ dir = KNOWLEDGE_DIR, file = KNOWLEDGE_INDEX_FILE, ...options } = {}) {
+  const previous = readKnowledgeIndex(file).files;
+  const files = {};
+  const report = { added: [], changed: [], removed: [], unchanged: [], chunks: 0 };
+
+  listKnowledgeFiles(dir).forEach((path) => {
+    const chunks = chunkDocument(path, fs.readFileSync(join(dir, path), "utf8"), options);
+    // Hash of the chunks, so changed chunk settings count as a change too
+    const hash = hashContent(JSON.stringify(chunks));
+    files[path] = { hash, chunks };
+    report.chunks += chunks.length;
+
+    if (!previous[path]) {
+      report.added.push(path);
+    } else {
+      report[previous[path].hash === hash ? "unchanged" : "changed"].push(path);
+    }
+  });
+  report.removed = Object.keys(previous).filter((path) => !files[path]);
+
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({ version: INDEX_VERSION, updatedAt: new Date().toISOString(), dir, files }, null, 2)
+  );
+  fs.renameSync(tmpFile, file);
+
+  return report;
+}
+
+export {
+  KNOWLEDGE_DIR,
+  KNOWLEDGE_INDEX_FILE,
+  parseDocument,
+  splitIntoChunks,
+  readDocument,
+  chunkDocument,
+  listKnowledgeFiles,
+  loadIngestedDocuments,
+  ingestKnowledge,
+};
+
+// CLI mode: ingest knowledge/ and bring the vector index up to date
+if (process.argv[1] && process.argv[1].endsWith("ingest.js")) {
+  const force = process.argv.includes("--force");
+
+  try {
+    const report = ingestKnowledge();
+    const list = (symbol, paths) => paths.forEach((path) => console.log(`  ${symbol} ${path}`));
+    list("+", report.added);
+    list("~", report.changed);
+    list("-", report.removed);
+    console.log(
+      `✅ Ingested ${KNOWLEDGE_DIR}/: ${report.added.length} added, ` +
+        `${report.changed.length} changed, ${report.removed.length} removed, ` +
+        `${report.unchanged.length} unchanged (${report.chunks} chunks)`
+    );
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(1);
+  }
+
+  // The keyword retriever reads the chunks directly; the vector index needs
+  // embeddings. (Not awaited at the top level: the agent imports this module.)
+  import("./agent-with-rag.js")
+    .then(({ reindex }) => reindex({ force }))
+    .then((stats) => {
+      console.log(
+        `📚 Vector index: ${stats.added} added, ${stats.updated} updated, ` +
+          `${stats.removed} removed, ${stats.unchanged} unchanged`
+      );
+    })
+    .catch((error) => {
+      console.error(`❌ Vector index not updated (run npm run reindex later): ${error.message}`);
+      process.exit(1);
+    });
+}
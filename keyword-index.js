@@ -0,0 +1,173 @@
+/**
+ * Keyword Index (BM25)
+ *
+ * Inverted index with BM25 scoring for the keyword retriever. Text is
+ * tokenized on letters/digits (so ".NET" becomes "net" and never matches
+ * inside "internet"), folded to lowercase without diacritics, filtered with
+ * per-language stop words and lightly stemmed. Swedish compounds ending in a
+ * generic word are split in two ("telefonnummer" -> "telefon", "nummer").
+ */
+
+import { DEFAULT_LANGUAGE } from "./language.js";
+
+// Stop words are stored folded (no diacritics), the same way tokens are
+const STOP_WORDS = {
+  en: new Set([
+    "a", "about", "an", "and", "any", "are", "as", "at", "be", "by", "can", "could",
+    "did", "do", "does", "for", "from", "has", "have", "how", "i", "if", "in", "into",
+    "is", "it", "its", "me", "my", "of", "on", "or", "our", "so", "some", "tell",
+    "that", "the", "their", "them", "there", "they", "this", "to", "us", "was", "we",
+    "were", "what", "when", "where", "which", "who", "whom", "why", "will", "with",
+    "would", "you", "your",
+  ]),
+  sv: new Set([
+    "alla", "allt", "att", "av", "beratta", "da", "de", "dem", "den", "det",
+    "din", "dina", "ditt", "du", "eller", "en", "er", "era", "ert", "ett", "for",
+    "fran", "ha", "har", "hon", "hos", "hur", "i", "jag", "kan", "man", "med", "mig",
+    "min", "mitt", "ni", "nagon", "nagot", "nar", "och", "om", "pa", "sa", "som",
+    "till", "ut", "var", "vad", "vara", "vem", "vi", "vilka", "vilken", "vilket",
+    "ar", "at",
+  ]),
+};
+
+// Suffixes stripped by the light stemmers, longest first
+const SUFFIXES = {
+  en: ["ations", "ation", "ments", "ment", "ships", "ship", "ing", "ers", "er", "ed", "ly"],
+  sv: [
+    "arnas", "ernas", "ornas", "arens", "arna", "erna", "orna", "aren", "ande", "ende",
+    "ningar", "ningen", "ingar", "ingen", "aste", "heten", "ning", "het", "are", "ast",
+    "ing", "en", "et", "ar", "er", "or", "na",
+  ],
+};
+
+const MIN_STEM_LENGTH = 3;
+
+// Generic last parts of compounds, split off so "telefonnummer" matches
+// "Telefon" and "kontaktuppgifter" matches "Kontaktinformation"; longest first
+const COMPOUND_HEADS = {
+  sv: ["information", "uppgifter", "adresser", "adress", "nummer"],
+};
+
+/**
+ * Lowercase and strip diacritics (é -> e, ö -> o) so queries typed
+ * without Swedish characters still match
+ */
+function fold(text) {
+  return text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function stemEnglish(token) {
+  let stem = token;
+
+  // Plurals: "services" -> "service", "companies" -> "company"
+  if (stem.endsWith("ies") && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith("s") && !/(ss|us|is)$/.test(stem) && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Two passes, so "leadership" -> "leader" -> "lead"
+  stem = stripSuffix(stripSuffix(stem, SUFFIXES.en), SUFFIXES.en);
+
+  // "service" and "servic(es)" end up the same
+  if (stem.endsWith("e") && stem.length > MIN_STEM_LENGTH + 1) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+function stemSwedish(token) {
+  return stripSuffix(token, SUFFIXES.sv);
+}
+
+function splitCompound(token, heads = []) {
+  const head = heads.find((h) => token.endsWith(h) && token.length - h.length > MIN_STEM_LENGTH);
+  return head ? [token.slice(0, -head.length), head] : [token];
+}
+
+function stripSuffix(token, suffixes) {
+  const suffix = suffixes.find(
+    (s) => token.endsWith(s) && token.length - s.length >= MIN_STEM_LENGTH
+  );
+  return suffix ? token.slice(0, -suffix.length) : token;
+}
+
+/**
+ * Split text into index terms for the given language
+ */
+function tokenize(text, lang = DEFAULT_LANGUAGE) {
+  const stopWords = STOP_WORDS[lang] || STOP_WORDS[DEFAULT_LANGUAGE];
+  const stem = lang === "sv" ? stemSwedish : stemEnglish;
+
+  return fold(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .flatMap((token) => splitCompound(token, COMPOUND_HEADS[lang]))
+    .filter((token) => token.length > 1 && !stopWords.has(token))
+    .map(stem);
+}
+
+class KeywordIndex {
+  /**
+   * documents: [{ content, lang, ... }]
+   * k1 and b are the usual BM25 parameters
+   */
+  constructor(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    this.documents = documents;
+    this.k1 = k1;
+    this.b = b;
+    // term -> Map(docIndex -> term frequency)
+    this.postings = new Map();
+    this.lengths = [];
+
+    documents.forEach((doc, i) => {
+      const terms = tokenize(doc.content, doc.lang);
+      this.lengths[i] = terms.length;
+      terms.forEach((term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const frequencies = this.postings.get(term);
+        frequencies.set(i, (frequencies.get(i) || 0) + 1);
+      });
+    });
+
+    const totalLength = this.lengths.reduce((sum, length) => sum + length, 0);
+    this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+  }
+
+  idf(term) {
+    const n = this.documents.length;
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score documents against a query. Returns [{ ...doc, score }] sorted by
+   * score, limited to topK and to scores of at least minScore (never 0).
+   */
+  search(query, { lang = DEFAULT_LANGUAGE, topK = 5, minScore = 0 } = {}) {
+    const scores = new Map();
+    const queryTerms = [...new Set(tokenize(query, lang))];
+
+    queryTerms.forEach((term) => {
+      const frequencies = this.postings.get(term);
+      if (!frequencies) {
+        return;
+      }
+      const idf = this.idf(term);
+      frequencies.forEach((tf, i) => {
+        const lengthNorm = 1 - this.b + this.b * (this.lengths[i] / this.averageLength);
+        const score = (idf * tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+        scores.set(i, (scores.get(i) || 0) + score);
+      });
+    });
+
+    return [...scores.entries()]
+      .filter(([, score]) => score > 0 && score >= minScore)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([i, score]) => ({ ...this.documents[i], score }));
+  }
+}
+
+export { KeywordIndex, tokenize, fold };
@@ -0,0 +1,396 @@
+/**
+ * Knowledge Base Store
+ *
+ * Single in-memory copy of faq.json shared by the agents and the admin API,
+ * together with the documents ingested from knowledge/ (see ingest.js).
+ * createSearchDocuments() turns both into the documents the keyword and
+ * vector agents search.
+ * Every load gets a version (content hash of both) and notifies change
+ * listeners, so agents can drop caches built from older data (keyword
+ * documents, vector index sync state).
+ *
+ * Writes go through updateFaqData(): the change is applied to the raw file
+ * content, validated, written atomically (temp file + rename), recorded in
+ * the change history and then loaded.
+ *
+ * watchFaqFile() reloads when faq.json is edited by hand or documents are
+ * ingested. A reload that
+ * fails validation keeps the previous data in use; the error is reported by
+ * getKnowledgeBaseStatus() until a later reload succeeds.
+ */
+
+import { createHash } from "crypto";
+import * as fs from "fs";
+import { basename, dirname } from "path";
+import {
+  FAQ_FILE,
+  FaqValidationError,
+  loadFaqData,
+  readFaqFile,
+  validateFaqData,
+  formatFields,
+} from "./faq-schema.js";
+import { KNOWLEDGE_INDEX_FILE, loadIngestedDocuments } from "./ingest.js";
+import { SUPPORTED_LANGUAGES, LABELS } from "./language.js";
+import { documentId } from "./citations.js";
+import { logger } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const HISTORY_FILE = process.env.FAQ_HISTORY_FILE || "faq-history.jsonl";
+// Editors often write a file in several steps; wait for them to finish
+const WATCH_DEBOUNCE_MS = 200;
+
+// { data, documents, version, loadedAt }
+let current = null;
+// { at, message, errors? } from the last failed reload, cleared by a successful one
+let lastError = null;
+let watchers = [];
+const listeners = new Set();
+
+// Writes run one at a time so concurrent edits can't overwrite each other
+let writeQueue = Promise.resolve();
+
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex").slice(0, 12);
+}
+
+/**
+ * Load (or reload) faq.json and the ingested documents and notify listeners.
+ * Throws (FaqValidationError for an invalid faq.json) and keeps the previous
+ * data when either file can't be used.
+ */
+function reloadFaqData() {
+  let data;
+  let documents;
+  try {
+    data = loadFaqData(FAQ_FILE);
+    documents = loadIngestedDocuments();
+  } catch (error) {
+    lastError = {
+      at: new Date().toISOString(),
+      message: error.message,
+      ...(error instanceof FaqValidationError && { errors: error.errors }),
+    };
+    throw error;
+  }
+
+  lastError = null;
+  const version = hashContent(JSON.stringify({ data, documents }));
+
+  if (current && current.version === version) {
+    return current;
+  }
+
+  current = { data, documents, version, loadedAt: new Date().toISOString() };
+  listeners.forEach((listener) => listener(current));
+  return current;
+}
+
+/**
+ * The validated knowledge base (loaded on first use)
+ */
+function getFaqData() {
+  return (current || reloadFaqData()).data;
+}
+
+/**
+ * Chunks ingested from knowledge/: [{ id, lang, source, title, section, content }]
+ */
+function getIngestedDocuments() {
+  return (current || reloadFaqData()).documents;
+}
+
+/**
+ * Searchable documents from FAQ data (one set per language) and the chunks
+ * ingested from knowledge/: [{ id, type, lang, content, ...metadata }].
+ * Ids and contents match the database store's entries (see knowledge-db.js).
+ */
+function createSearchDocuments(data = getFaqData(), ingested = getIngestedDocuments()) {
+  const documents = [];
+
+  SUPPORTED_LANGUAGES.forEach((lang) => {
+    const section = data[lang];
+    const labels = LABELS[lang];
+    const list = (items = []) => (items.length > 0 ? items.join(", ") : undefined);
+
+    // Company info document
+    documents.push({
+      content: formatFields([
+        [labels.companyName, section.companyName],
+        [labels.founder, section.founder],
+        [labels.coFounders, section["co-founders"].join(", ")],
+        [labels.missionStatement, section.missionStatement],
+        [labels.tagline, section.tagline],
+        [labels.story, section.story],
+        [labels.whyChooseUs, list(section.whyChooseUs)],
+      ]),
+      id: documentId(lang, "company_info"),
+      type: "company_info",
+      lang
+    });
+
+    // Each employee as a document
+    section.employees.forEach((emp) => {
+      documents.push({
+        content: `${labels.employee}: ${emp.name}
+${labels.role}: ${emp.role}
+${labels.area}: ${emp.area}`,
+        id: documentId(lang, "employee", emp.name),
+        type: "employee",
+        name: emp.name,
+        lang
+      });
+    });
+
+    // Mission areas as documents
+    section.mission.forEach((mission) => {
+      documents.push({
+        content: `${mission.title}
+${mission.text}
+${labels.technologies}: ${mission.items.join(", ")}`,
+        id: documentId(lang, "mission", mission.title),
+        type: "mission",
+        category: mission.title,
+        lang
+      });
+    });
+
+    // Careers: intro, open roles and culture
+    const careers = [
+      section.careers.intro,
+      formatFields([
+        [labels.openRoles, list(section.careers.openRoles)],
+        [labels.culture, list(section.careers.culture)],
+      ]),
+    ].filter(Boolean);
+    if (careers.length > 0) {
+      documents.push({
+        content: [`${labels.careers}:`, ...careers].join("\n"),
+        id: documentId(lang, "careers"),
+        type: "careers",
+        lang
+      });
+    }
+
+    // Contact info
+    documents.push({
+      content: `${labels.contact}:\n${formatFields([
+        [labels.email, section.contact.email],
+        [labels.phone, section.contact.phone],
+        [labels.address, section.hq.address],
+      ])}`,
+      id: documentId(lang, "contact"),
+      type: "contact",
+      lang
+    });
+  });
+
+  // Policies, case studies, posts... (see ingest.js)
+  ingested.forEach((chunk) => {
+    documents.push({
+      content: chunk.content,
+      id: chunk.id,
+      type: "document",
+      source: chunk.source,
+      title: chunk.title,
+      section: chunk.section,
+      lang: chunk.lang
+    });
+  });
+
+  return documents;
+}
+
+function getKnowledgeBaseVersion() {
+  return (current || reloadFaqData()).version;
+}
+
+/**
+ * Call listener({ data, documents, version, loadedAt }) whenever new data is loaded.
+ * Returns a function that removes the listener.
+ */
+function onFaqDataChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getKnowledgeBaseStatus() {
+  return {
+    file: FAQ_FILE,
+    version: current?.version ?? null,
+    loadedAt: current?.loadedAt ?? null,
+    documents: { file: KNOWLEDGE_INDEX_FILE, chunks: current?.documents.length ?? null },
+    watching: watchers.length > 0,
+    lastError,
+  };
+}
+
+/**
+ * Reload whenever faq.json or the ingested documents change on disk. The
+ * directories are watched rather than the files, so atomic saves (write +
+ * rename) are picked up too. Returns a function that stops watching.
+ */
+function watchFaqFile() {
+  if (watchers.length > 0) {
+    return stopWatching;
+  }
+
+  // directory -> names of the watched files in it
+  const watched = new Map();
+  [FAQ_FILE, KNOWLEDGE_INDEX_FILE].forEach((file) => {
+    const names = watched.get(dirname(file)) || new Set();
+    watched.set(dirname(file), names.add(basename(file)));
+  });
+  let timer = null;
+
+  const reload = () => {
+    const previousVersion = current?.version;
+    try {
+      const { version } = reloadFaqData();
+      if (version !== previousVersion) {
+        logger.info("Reloaded the knowledge base", { version });
+      }
+    } catch (error) {
+      logger.error("Reloading the knowledge base failed, keeping the previous data", { error: error.message });
+    }
+  };
+
+  watchers = [...watched].map(([directory, names]) => {
+    const watcher = fs.watch(directory, (event, changed) => {
+      if (!names.has(changed)) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(reload, WATCH_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    return watcher;
+  });
+
+  return stopWatching;
+}
+
+function stopWatching() {
+  watchers.forEach((watcher) => watcher.close());
+  watchers = [];
+}
+
+function writeFileAtomic(file, content) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Apply a change to faq.json. `change(raw)` mutates the parsed file content
+ * (without schema defaults) and may return a value, which is passed back.
+ * Throws FaqValidationError if faq.json can't be read or the result doesn't
+ * match the schema; the file is left untouched in that case. If the changed
+ * file can't be reloaded, the previous content is restored and the error
+ * rethrown, so the file and the change history always agree.
+ *
+ * details: { action, target } for the change history
+ */
+function updateFaqData(change, details = {}) {
+  const run = async () => {
+    const raw = readFaqFile(FAQ_FILE);
+    const previousContent = fs.readFileSync(FAQ_FILE, "utf8");
+    const before = structuredClone(raw);
+    const result = change(raw);
+
+    const { errors } = validateFaqData(raw);
+    if (errors.length > 0) {
+      throw new FaqValidationError(FAQ_FILE, errors);
+    }
+
+    writeFileAtomic(FAQ_FILE, `${JSON.stringify(raw, null, 2)}\n`);
+    let version;
+    try {
+      ({ version } = reloadFaqData());
+    } catch (error) {
+      writeFileAtomic(FAQ_FILE, previousContent);
+      throw error;
+    }
+
+    appendHistory({
+      at: new Date().toISOString(),
+      version,
+      ...details,
+      ...diffSections(before, raw),
+    });
+
+    return result;
+  };
+
+  const pending = writeQueue.then(run);
+  writeQueue = pending.catch(() => {});
+  return pending;
+}
+
+/**
+ * What changed in each language's top-level fields: lists record the items
+ * removed and added, other fields their value before and after
+ */
+function diffSections(before, after) {
+  const changes = [];
+  Object.keys(after).forEach((lang) => {
+    const keys = new Set([...Object.keys(before[lang] || {}), ...Object.keys(after[lang] || {})]);
+    keys.forEach((key) => {
+      const old = before[lang]?.[key];
+      const updated = after[lang]?.[key];
+      if (JSON.stringify(old) === JSON.stringify(updated)) {
+        return;
+      }
+
+      const path = `${lang}.${key}`;
+      if (Array.isArray(old) && Array.isArray(updated)) {
+        const serialized = (items) => new Set(items.map((item) => JSON.stringify(item)));
+        const oldItems = serialized(old);
+        const newItems = serialized(updated);
+        changes.push({
+          path,
+          removed: old.filter((item) => !newItems.has(JSON.stringify(item))),
+          added: updated.filter((item) => !oldItems.has(JSON.stringify(item))),
+        });
+      } else {
+        changes.push({ path, before: old ?? null, after: updated ?? null });
+      }
+    });
+  });
+  return { changes };
+}
+
+function appendHistory(entry) {
+  fs.appendFileSync(HISTORY_FILE, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Most recent changes first
+ */
+function getChangeHistory({ limit = 50 } = {}) {
+  if (!fs.existsSync(HISTORY_FILE)) {
+    return [];
+  }
+  return fs
+    .readFileSync(HISTORY_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .reverse()
+    .slice(0, limit);
+}
+
+export {
+  getFaqData,
+  getIngestedDocuments,
+  createSearchDocuments,
+  getKnowledgeBaseVersion,
+  getKnowledgeBaseStatus,
+  reloadFaqData,
+  onFaqDataChange,
+  watchFaqFile,
+  updateFaqData,
+  getChangeHistory,
+};
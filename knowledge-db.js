@@ -0,0 +1,556 @@
+/**
+ * SQLite Knowledge Store
+ *
+ * The knowledge base in a local SQLite database (knowledge.db,
+ * KNOWLEDGE_DB_FILE): company info, employees, mission areas, careers,
+ * contact details and free-form articles, one row set per language, with a
+ * full-text index (FTS5) over all of it.
+ *
+ * The importer copies faq.json and the documents in knowledge/ (as articles)
+ * into the tables, rebuilds the search index and records the knowledge base
+ * version it imported. The shared store is imported on first use and again
+ * whenever the version changes (faq.json edited, documents ingested), like
+ * the vector index re-syncs, so the database strategy never answers from
+ * older data than the other strategies. After editing the tables directly
+ * (any SQLite client), run `node knowledge-db.js reindex` so search sees the
+ * changes; they are kept until the next re-import.
+ *
+ * Usage: node knowledge-db.js import | reindex | status
+ *        node knowledge-db.js search <query> [--lang=sv] [--category=employees,careers]
+ */
+
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import { join } from "path";
+import { getFaqData, getKnowledgeBaseVersion, onFaqDataChange } from "./knowledge-base.js";
+import { KNOWLEDGE_DIR, listKnowledgeFiles, readDocument, splitIntoChunks } from "./ingest.js";
+import { tokenize } from "./keyword-index.js";
+import { formatFields } from "./faq-schema.js";
+import { documentId, slugify } from "./citations.js";
+import { DEFAULT_LANGUAGE, LABELS, SUPPORTED_LANGUAGES } from "./language.js";
+import { logger } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const KNOWLEDGE_DB_FILE = process.env.KNOWLEDGE_DB_FILE || "knowledge.db";
+
+const CATEGORIES = ["company", "employees", "mission", "careers", "contact", "articles"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS company (
+    lang TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    founder TEXT NOT NULL,
+    co_founders TEXT NOT NULL DEFAULT '[]',
+    mission_statement TEXT,
+    tagline TEXT,
+    story TEXT,
+    why_choose_us TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE TABLE IF NOT EXISTS employees (
+    lang TEXT NOT NULL,
+    slug TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    area TEXT NOT NULL,
+    PRIMARY KEY (lang, slug)
+  );
+  CREATE TABLE IF NOT EXISTS mission_areas (
+    lang TEXT NOT NULL,
+    slug TEXT NOT NULL,
+    title TEXT NOT NULL,
+    text TEXT NOT NULL,
+    items TEXT NOT NULL DEFAULT '[]',
+    PRIMARY KEY (lang, slug)
+  );
+  CREATE TABLE IF NOT EXISTS careers (
+    lang TEXT PRIMARY KEY,
+    intro TEXT,
+    culture TEXT NOT NULL DEFAULT '[]',
+    open_roles TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE TABLE IF NOT EXISTS contact (
+    lang TEXT PRIMARY KEY,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    social TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS articles (
+    lang TEXT NOT NULL,
+    slug TEXT NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    source TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (lang, slug)
+  );
+  CREATE VIRTUAL TABLE IF NOT EXISTS search USING fts5(
+    id UNINDEXED,
+    lang UNINDEXED,
+    category UNINDEXED,
+    type UNINDEXED,
+    title,
+    content,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+// JSON columns (lists and objects)
+const list = (value) => JSON.parse(value || "[]");
+
+/**
+ * FTS5 query matching any of the terms, as prefixes so the stemmed terms
+ * from tokenize() still match the full words ("servic" -> "services")
+ */
+function matchQuery(terms) {
+  return terms.map((term) => `"${term.replace(/"/g, '""')}"*`).join(" OR ");
+}
+
+class KnowledgeStore {
+  constructor({ file = KNOWLEDGE_DB_FILE } = {}) {
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  isEmpty() {
+    return this.db.prepare("SELECT COUNT(*) AS n FROM company").get().n === 0;
+  }
+
+  /**
+   * Replace the company data with faq.json's (all languages) and the articles
+   * that came from knowledge/ with the current files. Articles added to the
+   * database by other means (source NULL) are kept. version is the knowledge
+   * base version the data belongs to. Returns row counts.
+   */
+  importFaqData(data = getFaqData(), { dir = KNOWLEDGE_DIR, version = getKnowledgeBaseVersion() } = {}) {
+    const articles = listKnowledgeFiles(dir).map((path) => {
+      const doc = readDocument(path, fs.readFileSync(join(dir, path), "utf8"));
+      const content = doc.sections
+        .map((section) => [section.headings.at(-1), section.text].filter(Boolean).join("\n"))
+        .filter(Boolean)
+        .join("\n\n");
+      return { lang: doc.lang, slug: slugify(doc.name), title: doc.title, content, source: path };
+    });
+
+    const run = this.db.transaction(() => {
+      ["company", "employees", "mission_areas", "careers", "contact"].forEach((table) =>
+        this.db.prepare(`DELETE FROM ${table}`).run()
+      );
+      this.db.prepare("DELETE FROM articles WHERE source IS NOT NULL").run();
+
+      const insert = {
+        company: this.db.prepare(
+          `INSERT INTO company (lang, name, founder, co_founders, mission_statement, tagline, story, why_choose_us)
+           VALUES (@lang, @name, @founder, @coFounders, @missionStatement, @tagline, @story, @whyChooseUs)`
+        ),
+        employee: this.db.prepare(
+          "INSERT OR REPLACE INTO employees (lang, slug, name, role, area) VALUES (?, ?, ?, ?, ?)"
+        ),
+        mission: this.db.prepare(
+          "INSERT OR REPLACE INTO mission_areas (lang, slug, title, text, items) VALUES (?, ?, ?, ?, ?)"
+        ),
+        careers: this.db.prepare(
+          "INSERT INTO careers (lang, intro, culture, open_roles) VALUES (?, ?, ?, ?)"
+        ),
+        contact: this.db.prepare(
+          "INSERT INTO contact (lang, email, phone, address, social) VALUES (?, ?, ?, ?, ?)"
+        ),
+        article: this.db.prepare(
+          `INSERT OR REPLACE INTO articles (lang, slug, title, content, source, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        ),
+      };
+
+      SUPPORTED_LANGUAGES.forEach((lang) => {
+        const section = data[lang];
+        insert.company.run({
+          lang,
+          name: section.companyName,
+          founder: section.founder,
+          coFounders: JSON.stringify(section["co-founders"]),
+          missionStatement: section.missionStatement ?? null,
+          tagline: section.tagline ?? null,
+          story: section.story ?? null,
+          whyChooseUs: JSON.stringify(section.whyChooseUs || []),
+        });
+        section.employees.forEach((emp) =>
+          insert.employee.run(lang, slugify(emp.name), emp.name, emp.role, emp.area)
+        );
+        section.mission.forEach((mission) =>
+          insert.mission.run(lang, slugify(mission.title), mission.title, mission.text, JSON.stringify(mission.items))
+        );
+        insert.careers.run(
+          lang,
+          section.careers?.intro ?? null,
+          JSON.stringify(section.careers?.culture || []),
+          JSON.stringify(section.careers?.openRoles || [])
+        );
+        insert.contact.run(
+          lang,
+          section.contact.email ?? null,
+          section.contact.phone ?? null,
+          section.hq?.address ?? null,
+          JSON.stringify(section.contact.social || {})
+        );
+      });
+
+      const now = new Date().toISOString();
+      articles.forEach((article) =>
+        insert.article.run(article.lang, article.slug, article.title, article.content, article.source, now)
+      );
+
+      const setMeta = this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+      setMeta.run("importedAt", now);
+      setMeta.run("version", version);
+      this.rebuildSearchIndex();
+    });
+
+    run();
+    return this.counts();
+  }
+
+  /**
+   * The data in faq.json's shape ({ en: { companyName, employees, ... } }),
+   * for code written against the JSON file
+   */
+  exportFaqData() {
+    const byLang = (table) => {
+      const rows = {};
+      this.db
+        .prepare(`SELECT * FROM ${table} ORDER BY rowid`)
+        .all()
+        .forEach((row) => (rows[row.lang] ||= []).push(row));
+      return rows;
+    };
+    const employees = byLang("employees");
+    const missionAreas = byLang("mission_areas");
+    const careers = byLang("careers");
+    const contact = byLang("contact");
+
+    return Object.fromEntries(
+      this.db.prepare("SELECT * FROM company").all().map((row) => {
+        const lang = row.lang;
+        const careersRow = careers[lang]?.[0];
+        const contactRow = contact[lang]?.[0];
+        return [
+          lang,
+          {
+            companyName: row.name,
+            founder: row.founder,
+            "co-founders": list(row.co_founders),
+            employees: (employees[lang] || []).map(({ name, role, area }) => ({ name, role, area })),
+            tagline: row.tagline ?? undefined,
+            story: row.story ?? undefined,
+            missionStatement: row.mission_statement ?? undefined,
+            whyChooseUs: list(row.why_choose_us),
+            mission: (missionAreas[lang] || []).map((area) => ({
+              title: area.title,
+              text: area.text,
+              items: list(area.items),
+            })),
+            careers: {
+              intro: careersRow?.intro ?? undefined,
+              culture: list(careersRow?.culture),
+              openRoles: list(careersRow?.open_roles),
+            },
+            hq: { address: contactRow?.address ?? undefined },
+            contact: {
+              email: contactRow?.email ?? undefined,
+              phone: contactRow?.phone ?? undefined,
+              social: JSON.parse(contactRow?.social || "{}"),
+            },
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Searchable entries built from the tables: [{ id, lang, category, type,
+   * title, content }]. Ids, types and content are formatted like the other
+   * retrievers' documents.
+   */
+  createSearchEntries() {
+    const entries = [];
+    const all = (table) => this.db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all();
+    const add = (lang, category, id, title, content) =>
+      entries.push({ id, lang, category, type: id.split(":")[1], title, content });
+
+    all("company").forEach((row) => {
+      const labels = LABELS[row.lang] || LABELS[DEFAULT_LANGUAGE];
+      const whyChooseUs = list(row.why_choose_us);
+      add(
+        row.lang,
+        "company",
+        documentId(row.lang, "company_info"),
+        row.name,
+        formatFields([
+          [labels.companyName, row.name],
+          [labels.founder, row.founder],
+          [labels.coFounders, list(row.co_founders).join(", ")],
+          [labels.missionStatement, row.mission_statement ?? undefined],
+          [labels.tagline, row.tagline ?? undefined],
+          [labels.story, row.story ?? undefined],
+          [labels.whyChooseUs, whyChooseUs.length > 0 ? whyChooseUs.join(", ") : undefined],
+        ])
+      );
+    });
+
+    all("employees").forEach((row) => {
+      const labels = LABELS[row.lang] || LABELS[DEFAULT_LANGUAGE];
+      add(
+        row.lang,
+        "employees",
+        documentId(row.lang, "employee", row.name),
+        row.name,
+        `${labels.employee}: ${row.name}\n${labels.role}: ${row.role}\n${labels.area}: ${row.area}`
+      );
+    });
+
+    all("mission_areas").forEach((row) => {
+      const labels = LABELS[row.lang] || LABELS[DEFAULT_LANGUAGE];
+      add(
+        row.lang,
+        "mission",
+        documentId(row.lang, "mission", row.title),
+        row.title,
+        `${row.title}\n${row.text}\n${labels.technologies}: ${list(row.items).join(", ")}`
+      );
+    });
+
+    all("careers").forEach((row) => {
+      const labels = LABELS[row.lang] || LABELS[DEFAULT_LANGUAGE];
+      const openRoles = list(row.open_roles);
+      const culture = list(row.culture);
+      add(
+        row.lang,
+        "careers",
+        documentId(row.lang, "careers"),
+        labels.careers,
+        [
+          `${labels.careers}:`,
+          row.intro,
+          formatFields([
+            [labels.openRoles, openRoles.length > 0 ? openRoles.join(", ") : undefined],
+            [labels.culture, culture.length > 0 ? culture.join(", ") : undefined],
+          ]),
+        ]
+          .filter(Boolean)
+          .join("\n")
+      );
+    });
+
+    all("contact").forEach((row) => {
+      const labels = LABELS[row.lang] || LABELS[DEFAULT_LANGUAGE];
+      add(
+        row.lang,
+        "contact",
+        documentId(row.lang, "contact"),
+        labels.contact,
+        `${labels.contact}:\n${formatFields([
+          [labels.email, row.email ?? undefined],
+          [labels.phone, row.phone ?? undefined],
+          [labels.address, row.address ?? undefined],
+        ])}`
+      );
+    });
+
+    // Long articles are searched (and put in prompts) in chunks, like ingested
+    // documents, and share their ids (en:document:remote-work:1)
+    all("articles").forEach((row) => {
+      splitIntoChunks(row.content).forEach((chunk, i) =>
+        add(row.lang, "articles", `${documentId(row.lang, "document", row.slug)}:${i + 1}`, row.title, `${row.title}\n${chunk}`)
+      );
+    });
+
+    return entries;
+  }
+
+  /**
+   * Rebuild the full-text index from the tables
+   */
+  rebuildSearchIndex() {
+    const insert = this.db.prepare(
+      `INSERT INTO search (id, lang, category, type, title, content)
+       VALUES (@id, @lang, @category, @type, @title, @content)`
+    );
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM search").run();
+      this.createSearchEntries().forEach((entry) => insert.run(entry));
+    })();
+  }
+
+  /**
+   * Entries in one language, filtered by category (any of `categories`, all
+   * when empty) and matching any of the words in `text`, best match first.
+   * Without text, the categories' entries are listed in table order.
+   * Returns [{ id, category, type, title, content, score }] (higher scores
+   * are better).
+   */
+  query({ lang = DEFAULT_LANGUAGE, categories = [], text = "", limit = 5 } = {}) {
+    const unknown = categories.filter((category) => !CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown categories: ${unknown.join(", ")}. Use: ${CATEGORIES.join(", ")}`);
+    }
+
+    const terms = [...new Set(tokenize(text, lang))];
+    const filters = ["lang = @lang"];
+    const params = { lang, limit };
+    if (categories.length > 0) {
+      filters.push(`category IN (${categories.map((_, i) => `@category${i}`).join(", ")})`);
+      categories.forEach((category, i) => {
+        params[`category${i}`] = category;
+      });
+    }
+
+    if (terms.length > 0) {
+      params.match = matchQuery(terms);
+      return this.db
+        .prepare(
+          `SELECT id, category, type, title, content, -bm25(search) AS score FROM search
+           WHERE search MATCH @match AND ${filters.join(" AND ")}
+           ORDER BY bm25(search) LIMIT @limit`
+        )
+        .all(params);
+    }
+    if (text.trim()) {
+      // Only stop words: nothing to match
+      return [];
+    }
+    return this.db
+      .prepare(
+        `SELECT id, category, type, title, content, NULL AS score FROM search
+         WHERE ${filters.join(" AND ")} ORDER BY rowid LIMIT @limit`
+      )
+      .all(params);
+  }
+
+  /**
+   * Rows per table, for status output and the importer
+   */
+  counts() {
+    const count = (table) => this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+    return {
+      company: count("company"),
+      employees: count("employees"),
+      mission: count("mission_areas"),
+      careers: count("careers"),
+      contact: count("contact"),
+      articles: count("articles"),
+      searchEntries: count("search"),
+    };
+  }
+
+  /**
+   * Knowledge base version of the last import (null before the first)
+   */
+  importedVersion() {
+    return this.db.prepare("SELECT value FROM meta WHERE key = 'version'").get()?.value ?? null;
+  }
+
+  status() {
+    return {
+      file: this.file,
+      importedAt: this.db.prepare("SELECT value FROM meta WHERE key = 'importedAt'").get()?.value ?? null,
+      version: this.importedVersion(),
+      ...this.counts(),
+    };
+  }
+}
+
+// Store shared by the database strategy (opened on first use)
+let sharedStore = null;
+
+/**
+ * Import faq.json and knowledge/ into the store unless it already has the
+ * current knowledge base version
+ */
+function syncKnowledgeStore(store) {
+  const version = getKnowledgeBaseVersion();
+  if (!store.isEmpty() && store.importedVersion() === version) {
+    return;
+  }
+  const counts = store.importFaqData(getFaqData(), { version });
+  logger.info("Imported faq.json into the knowledge database", {
+    file: store.file,
+    version,
+    searchEntries: counts.searchEntries,
+  });
+}
+
+// Re-import when the knowledge base is reloaded; a failed import keeps the
+// previous rows and is retried on the next question
+onFaqDataChange(() => {
+  if (sharedStore) {
+    try {
+      syncKnowledgeStore(sharedStore);
+    } catch (error) {
+      logger.error("Knowledge database import failed, keeping the previous data", { error: error.message });
+    }
+  }
+});
+
+/**
+ * The store at KNOWLEDGE_DB_FILE, imported from faq.json and knowledge/ when
+ * it is new or holds an older knowledge base version
+ */
+function getKnowledgeStore() {
+  if (!sharedStore) {
+    sharedStore = new KnowledgeStore();
+  }
+  syncKnowledgeStore(sharedStore);
+  return sharedStore;
+}
+
+export { KnowledgeStore, CATEGORIES, KNOWLEDGE_DB_FILE, getKnowledgeStore };
+
+// CLI mode: if run directly (not imported), accept command-line arguments
+if (process.argv[1] && process.argv[1].endsWith("knowledge-db.js")) {
+  const [command, ...rest] = process.argv.slice(2);
+  const option = (name) => rest.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+
+  try {
+    const store = new KnowledgeStore();
+    if (command === "import") {
+      const counts = store.importFaqData();
+      console.log(
+        `✅ Imported into ${store.file}: ${counts.employees} employees, ${counts.mission} mission areas, ` +
+          `${counts.articles} articles (${counts.searchEntries} search entries)`
+      );
+    } else if (command === "reindex") {
+      store.rebuildSearchIndex();
+      console.log(`✅ Rebuilt the search index (${store.counts().searchEntries} entries)`);
+    } else if (command === "status") {
+      console.log(JSON.stringify(store.status(), null, 2));
+    } else if (command === "search") {
+      const categories = option("category")?.split(",") || [];
+      const text = rest.filter((arg) => !arg.startsWith("--")).join(" ");
+      store
+        .query({ lang: option("lang") || DEFAULT_LANGUAGE, categories, text, limit: 10 })
+        .forEach((row) => {
+          const score = row.score === null ? "" : ` (score: ${Number(row.score.toFixed(3))})`;
+          console.log(`${row.id}${score}\n  ${row.content.replace(/\n/g, "\n  ")}`);
+        });
+    } else {
+      console.error("Usage: node knowledge-db.js import | reindex | status | search <query>");
+      console.error("       node knowledge-db.js search <query> [--lang=sv] [--category=employees,careers]");
+      process.exit(1);
+    }
+    store.close();
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(1);
+  }
+}
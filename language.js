@@ -0,0 +1,115 @@
+/**
+ * Language Support
+ *
+ * faq.json holds one section per language ("en", "sv"). These helpers pick
+ * the section to answer from, either explicitly or by detecting the
+ * language of the question.
+ */
+
+const SUPPORTED_LANGUAGES = ["en", "sv"];
+const DEFAULT_LANGUAGE = "en";
+
+// Common function words; enough to tell short English and Swedish questions apart
+const LANGUAGE_HINTS = {
+  en: ["the", "is", "are", "who", "what", "how", "where", "when", "does", "do", "you", "your", "can", "work", "works", "about", "with"],
+  sv: ["och", "är", "vem", "vilka", "vad", "hur", "var", "när", "ni", "er", "era", "ert", "jag", "det", "som", "för", "med", "på", "kan", "finns", "jobbar", "arbetar", "om", "till"],
+};
+
+// Labels used when turning FAQ data into documents and prompts
+const LABELS = {
+  en: {
+    companyName: "Company Name",
+    founder: "Founder",
+    coFounders: "Co-founders",
+    missionStatement: "Mission Statement",
+    tagline: "Tagline",
+    story: "Story",
+    employee: "Employee",
+    role: "Role",
+    area: "Area",
+    technologies: "Technologies",
+    contact: "Contact Information",
+    email: "Email",
+    phone: "Phone",
+    address: "Address",
+    whyChooseUs: "Why Choose Us",
+    careers: "Careers",
+    openRoles: "Open Roles",
+    culture: "Culture",
+  },
+  sv: {
+    companyName: "Företagsnamn",
+    founder: "Grundare",
+    coFounders: "Medgrundare",
+    missionStatement: "Uppdrag",
+    tagline: "Slogan",
+    story: "Historia",
+    employee: "Anställd",
+    role: "Roll",
+    area: "Område",
+    technologies: "Tekniker",
+    contact: "Kontaktinformation",
+    email: "E-post",
+    phone: "Telefon",
+    address: "Adress",
+    whyChooseUs: "Varför välja oss",
+    careers: "Karriär",
+    openRoles: "Lediga roller",
+    culture: "Kultur",
+  },
+};
+
+const ANSWER_INSTRUCTIONS = {
+  en: "Answer in English.",
+  sv: "Svara på svenska.",
+};
+
+function isSupportedLanguage(lang) {
+  return SUPPORTED_LANGUAGES.includes(lang);
+}
+
+/**
+ * Guess the language of a question. Falls back to English when unsure.
+ */
+function detectLanguage(text) {
+  // The company name is English in both languages
+  const normalized = text.toLowerCase().replace(/the tribe/g, " ");
+  const words = normalized.split(/[^\p{L}]+/u).filter(Boolean);
+
+  const scores = { en: 0, sv: 0 };
+  words.forEach((word) => {
+    if (LANGUAGE_HINTS.en.includes(word)) scores.en += 1;
+    if (LANGUAGE_HINTS.sv.includes(word)) scores.sv += 1;
+  });
+
+  // å, ä and ö are a strong signal for Swedish
+  scores.sv += (normalized.match(/[åäö]/g) || []).length;
+
+  return scores.sv > scores.en ? "sv" : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Use the requested language if given, otherwise detect it from the question.
+ * "auto" and empty values mean "detect".
+ */
+function resolveLanguage(lang, question) {
+  if (lang && lang !== "auto") {
+    if (!isSupportedLanguage(lang)) {
+      throw new Error(
+        `Unsupported language "${lang}". Use one of: ${SUPPORTED_LANGUAGES.join(", ")}, auto`
+      );
+    }
+    return lang;
+  }
+  return detectLanguage(question);
+}
+
+export {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LABELS,
+  ANSWER_INSTRUCTIONS,
+  isSupportedLanguage,
+  detectLanguage,
+  resolveLanguage,
+};
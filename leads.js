@@ -0,0 +1,158 @@
+/**
+ * Contact Requests (Leads)
+ *
+ * When the bot can't help, or a visitor asks about working here, the chat
+ * offers a handoff: a short form (name, email, message) that is stored as a
+ * lead together with the conversation so far, so whoever follows up can see
+ * what was asked. Questions about careers.openRoles can start an application
+ * lead for one of the roles the same way. Leads are listed in the admin.
+ *
+ * Leads are appended to leads.jsonl (LEADS_FILE). The store is pluggable:
+ * anything implementing add/list (async) can replace FileLeadStore, e.g. a
+ * table in the CRM's database.
+ */
+
+import { randomBytes } from "crypto";
+import * as fs from "fs";
+import { getFaqData } from "./knowledge-base.js";
+import { tokenize } from "./keyword-index.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const LEADS_FILE = process.env.LEADS_FILE || "leads.jsonl";
+
+const LEAD_TYPES = ["contact", "application"];
+
+const MAX_LENGTHS = { name: 200, email: 254, message: 5000 };
+
+// Words that make a question about working here (stemmed like the keyword index)
+const CAREERS_WORDS = {
+  en: ["job", "career", "hiring", "hire", "apply", "application", "vacancy", "position", "recruiting", "opening"],
+  sv: ["jobb", "karriär", "ansöka", "ansökan", "tjänst", "lediga", "rekryterar", "anställer"],
+};
+// "role" alone is too common ("what is Linus's role?")
+const OPEN_ROLES_PATTERN = /\bopen roles?\b|\blediga roller\b/i;
+
+/**
+ * A contact request that can't be stored, with a message per field
+ */
+class LeadValidationError extends Error {
+  constructor(errors) {
+    super(`Please check: ${Object.keys(errors).join(", ")}`);
+    this.name = "LeadValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Leads in a JSON Lines file, oldest first.
+ *
+ * Store interface:
+ * - add(lead) -> Promise<lead> (with id and createdAt set)
+ * - list({ type, limit }) -> Promise<Array<lead>>, most recent first
+ */
+class FileLeadStore {
+  constructor({ file = LEADS_FILE } = {}) {
+    this.file = file;
+  }
+
+  async add(lead) {
+    const stored = {
+      id: `lead_${randomBytes(6).toString("hex")}`,
+      createdAt: new Date().toISOString(),
+      ...lead,
+    };
+    fs.appendFileSync(this.file, `${JSON.stringify(stored)}\n`);
+    return stored;
+  }
+
+  async list({ type, limit = 50 } = {}) {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return fs
+      .readFileSync(this.file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((lead) => !type || lead.type === type)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+function openRoles(lang) {
+  return getFaqData()[lang].careers?.openRoles || [];
+}
+
+/**
+ * Check a contact request ({ type, name, email, message, role }). Returns the
+ * cleaned fields or throws LeadValidationError.
+ */
+function validateContactRequest(body, { lang }) {
+  const errors = {};
+  const text = (name) => (typeof body?.[name] === "string" ? body[name].trim() : "");
+  const type = text("type") || "contact";
+  const fields = { type, name: text("name"), email: text("email"), message: text("message") };
+
+  if (!LEAD_TYPES.includes(type)) {
+    errors.type = `Use one of: ${LEAD_TYPES.join(", ")}`;
+  }
+  if (!fields.name) {
+    errors.name = "Please tell us your name";
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+    errors.email = "Please enter a valid email address";
+  }
+  if (!fields.message && type === "contact") {
+    errors.message = "Please tell us how we can help";
+  }
+  Object.entries(MAX_LENGTHS).forEach(([name, max]) => {
+    if (fields[name].length > max) {
+      errors[name] = `At most ${max} characters`;
+    }
+  });
+
+  if (type === "application") {
+    const roles = openRoles(lang);
+    fields.role = text("role");
+    if (!roles.includes(fields.role)) {
+      errors.role = roles.length > 0 ? `Choose one of: ${roles.join(", ")}` : "There are no open roles right now";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new LeadValidationError(errors);
+  }
+  return fields;
+}
+
+function isCareersQuestion(question, lang) {
+  const terms = new Set(tokenize(question, lang));
+  const lower = question.toLowerCase();
+  return (
+    tokenize(CAREERS_WORDS[lang].join(" "), lang).some((term) => terms.has(term)) ||
+    OPEN_ROLES_PATTERN.test(question) ||
+    openRoles(lang).some((role) => lower.includes(role.toLowerCase()))
+  );
+}
+
+/**
+ * The handoff to offer with an answer, or null:
+ * - { type: "application", roles } for careers questions while roles are open
+ * - { type: "contact" } when the question was handed off (see guardrails.js)
+ */
+function suggestHandoff(question, { refused }, lang) {
+  // Don't invite follow-ups from prompt-injection attempts
+  if (refused === "prompt_injection") {
+    return null;
+  }
+  const roles = openRoles(lang);
+  if (roles.length > 0 && isCareersQuestion(question, lang)) {
+    return { type: "application", roles };
+  }
+  return refused ? { type: "contact" } : null;
+}
+
+export { FileLeadStore, LeadValidationError, LEAD_TYPES, validateContactRequest, suggestHandoff };
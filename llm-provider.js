@@ -0,0 +1,477 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every agent gets its chat model from here instead of constructing ChatOpenAI
+ * directly. The provider is selected with LLM_PROVIDER:
+ *
+ * - "openai" (default): OpenAI's hosted API, using OPEN_API_KEY
+ * - "openai-compatible": any server speaking the OpenAI API (Ollama, LM Studio,
+ *   vLLM, ...), using LLM_BASE_URL
+ * - "fixture": a deterministic offline model that answers from recorded
+ *   responses in llm-fixtures.json and otherwise echoes the matching context
+ *
+ * Embeddings for the vector index come from createEmbeddings(), selected with
+ * EMBEDDINGS_PROVIDER (same names, plus "local" for embeddings computed on
+ * the CPU, see local-embeddings.js; defaults to "fixture" when LLM_PROVIDER
+ * is "fixture" and to "openai" otherwise).
+ *
+ * Every chat model reports the tokens it used and how long the call took to
+ * onTokenUsage() listeners (tokens are estimated when the provider doesn't
+ * report usage).
+ */
+
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+import { Embeddings } from "@langchain/core/embeddings";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { createHash } from "crypto";
+import * as fs from "fs";
+import { tokenize } from "./keyword-index.js";
+import { HASHED_MODEL, createLocalEmbeddings } from "./local-embeddings.js";
+import { detectLanguage } from "./language.js";
+import { estimateTokens } from "./session-store.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const PROVIDERS = ["openai", "openai-compatible", "fixture"];
+const EMBEDDINGS_PROVIDERS = [...PROVIDERS, "local"];
+
+/**
+ * Resolve provider settings from environment variables
+ */
+function getProviderConfig() {
+  const provider = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${provider}". Use one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || (provider === "fixture" ? "fixture" : undefined),
+    baseURL: process.env.LLM_BASE_URL,
+    fixturesFile: process.env.LLM_FIXTURES_FILE || "llm-fixtures.json",
+  };
+}
+
+/**
+ * Resolve embeddings settings from environment variables
+ */
+function getEmbeddingsConfig() {
+  const llmProvider = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+  const provider = (
+    process.env.EMBEDDINGS_PROVIDER || (llmProvider === "fixture" ? "fixture" : "openai")
+  ).toLowerCase();
+
+  if (!EMBEDDINGS_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown EMBEDDINGS_PROVIDER "${provider}". Use one of: ${EMBEDDINGS_PROVIDERS.join(", ")}`
+    );
+  }
+
+  return {
+    provider,
+    model: process.env.EMBEDDINGS_MODEL || { fixture: "fixture", local: HASHED_MODEL }[provider],
+    baseURL: process.env.LLM_BASE_URL,
+  };
+}
+
+/**
+ * Deterministic chat model for CI and offline demos.
+ *
+ * Looks up the last user message in a list of recorded responses; every
+ * keyword of an entry's `match` list must appear in the question. When nothing
+ * matches, it echoes the context entries (with their [n] citation) or system
+ * prompt lines that share words with the question (most shared words first).
+ *
+ * An entry can also list `toolCalls` ([{ name, args }]). Those are made when
+ * the tools are bound, and the answer is then the entry's `answer` or an echo
+ * of the tool results. Without a matching entry, a model with the searchFaq
+ * tool (see faq-tools.js) searches for the question, as a real model would.
+ */
+class FixtureChatModel extends BaseChatModel {
+  constructor({ fixturesFile, fixtures, toolNames = [], ...rest } = {}) {
+    super(rest);
+    this.fixturesFile = fixturesFile;
+    this.fixtures = fixtures || loadFixtures(fixturesFile);
+    this.toolNames = toolNames;
+  }
+
+  _llmType() {
+    return "fixture";
+  }
+
+  bindTools(tools) {
+    // Only remember the names: fixture tool calls are limited to bound tools
+    return new FixtureChatModel({
+      fixturesFile: this.fixturesFile,
+      fixtures: this.fixtures,
+      toolNames: tools.map((t) => t.name ?? t.function?.name),
+      callbacks: this.callbacks,
+    });
+  }
+
+  async _generate(messages) {
+    const { text, toolCalls } = this.respond(messages);
+    return {
+      generations: [{ message: new AIMessage({ content: text, tool_calls: toolCalls }), text }],
+      llmOutput: {},
+    };
+  }
+
+  async *_streamResponseChunks(messages, _options, runManager) {
+    const { text, toolCalls } = this.respond(messages);
+
+    if (toolCalls.length > 0) {
+      yield new ChatGenerationChunk({
+        message: new AIMessageChunk({
+          content: "",
+          tool_call_chunks: toolCalls.map((call, i) => ({
+            type: "tool_call_chunk",
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            index: i,
+          })),
+        }),
+        text: "",
+      });
+      return;
+    }
+
+    // Stream word by word (keeping whitespace) so streaming UIs can be tried offline
+    const pieces = text.match(/\S+\s*|\s+/g) || [];
+    for (const piece of pieces) {
+      const chunk = new ChatGenerationChunk({
+        message: new AIMessageChunk({ content: piece }),
+        text: piece,
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(piece, undefined, undefined, undefined, undefined, { chunk });
+    }
+  }
+
+  /**
+   * Returns { text, toolCalls } for the conversation so far
+   */
+  respond(messages) {
+    const question = lastMessageOfType(messages, "human").toLowerCase();
+    const answeringToolResults = messages[messages.length - 1]?._getType() === "tool";
+
+    const fixture = this.fixtures.responses.find((entry) =>
+      entry.match.every((keyword) => question.includes(keyword.toLowerCase()))
+    );
+
+    const requested = fixture?.toolCalls || (fixture ? [] : [{ name: "searchFaq", args: { query: question } }]);
+    const toolCalls = requested
+      .filter((call) => this.toolNames.includes(call.name))
+      .map((call, i) => ({
+        type: "tool_call",
+        id: `fixture_call_${i + 1}`,
+        name: call.name,
+        args: call.args || {},
+      }));
+    if (toolCalls.length > 0 && !answeringToolResults) {
+      return { text: "", toolCalls };
+    }
+
+    if (fixture?.answer) {
+      return { text: fixture.answer, toolCalls: [] };
+    }
+    if (answeringToolResults) {
+      return { text: echoToolResults(messages), toolCalls: [] };
+    }
+    return {
+      text: echoFromContext(question, lastMessageOfType(messages, "system")),
+      toolCalls: [],
+    };
+  }
+}
+
+/**
+ * Deterministic embeddings for CI and offline demos: a hashed bag of the
+ * keyword index's stemmed terms, L2-normalized. Texts sharing words get
+ * similar vectors, so vector search behaves sensibly without an API.
+ */
+class FixtureEmbeddings extends Embeddings {
+  constructor({ dimensions = 256, ...rest } = {}) {
+    super(rest);
+    this.dimensions = dimensions;
+    this.model = `fixture-${dimensions}`;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    tokenize(text, detectLanguage(text)).forEach((term) => {
+      const bucket = createHash("md5").update(term).digest().readUInt32BE(0) % this.dimensions;
+      vector[bucket] += 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+}
+
+function loadFixtures(fixturesFile) {
+  if (!fixturesFile || !fs.existsSync(fixturesFile)) {
+    return { responses: [] };
+  }
+  const fixtures = JSON.parse(fs.readFileSync(fixturesFile, "utf8"));
+  return { responses: fixtures.responses || [] };
+}
+
+function lastMessageOfType(messages, type) {
+  const message = [...messages].reverse().find((m) => m._getType() === type);
+  if (!message) {
+    return "";
+  }
+  return typeof message.content === "string"
+    ? message.content
+    : JSON.stringify(message.content);
+}
+
+function parseContextEntries(systemPrompt) {
+  const start = systemPrompt.search(/^\[1\]/m);
+  if (start === -1) {
+    return [];
+  }
+
+  return systemPrompt
+    .slice(start)
+    .split("\n\n---\n\n")
+    .map((block) => {
+      // The last entry is followed by the rest of the prompt after a blank line
+      const [header, ...lines] = block.split("\n\n")[0].split("\n");
+      return { n: header.match(/^\[(\d+)\]/)?.[1], content: lines.join("\n") };
+    })
+    .filter((entry) => entry.n);
+}
+
+function echoToolResults(messages) {
+  const lastRequest = messages.findLastIndex((m) => m._getType() === "ai");
+  const results = messages
+    .slice(lastRequest + 1)
+    .filter((m) => m._getType() === "tool")
+    .map((m) => `- ${typeof m.content === "string" ? m.content : JSON.stringify(m.content)}`);
+
+  return `Based on the available information:\n${results.join("\n")}`;
+}
+
+function echoFromContext(question, systemPrompt) {
+  // Compare stemmed terms without stop words, like the keyword retriever
+  const lang = detectLanguage(question);
+  const questionTerms = new Set(tokenize(question, lang));
+  const sharedTerms = (text) => new Set(tokenize(text, lang).filter((term) => questionTerms.has(term))).size;
+  const matches = (text) => sharedTerms(text) > 0;
+
+  // Numbered context entries ("[1] [employee]\n...") are echoed with their citation marker
+  const entries = parseContextEntries(systemPrompt);
+  const matchingLines =
+    entries.length > 0
+      ? entries
+          .filter((entry) => matches(entry.content))
+          .map((entry) => `${entry.content.replace(/\s*\n\s*/g, "; ")} [${entry.n}]`)
+      : systemPrompt
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line.length > 0 && matches(line))
+          // Without retrieval ranking, the lines sharing the most words come first
+          .sort((a, b) => sharedTerms(b) - sharedTerms(a));
+
+  if (matchingLines.length === 0) {
+    return "I don't have information about that.";
+  }
+
+  return `Based on the available information:\n${matchingLines
+    .slice(0, 5)
+    .map((line) => `- ${line}`)
+    .join("\n")}`;
+}
+
+const usageListeners = new Set();
+
+/**
+ * Call listener({ tokens, promptTokens, completionTokens, estimated,
+ * durationMs }) after every chat model call.
+ * Returns a function that removes the listener.
+ */
+function onTokenUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+function messageText(content) {
+  return typeof content === "string" ? content : JSON.stringify(content);
+}
+
+/**
+ * Reports token usage and call duration to the onTokenUsage() listeners. Uses
+ * the provider's numbers when it sends them, otherwise estimates from prompt
+ * and answer text.
+ */
+class TokenUsageHandler extends BaseCallbackHandler {
+  name = "token-usage";
+  // Run inline rather than queued, so listeners see the caller's async context
+  awaitHandlers = true;
+
+  constructor() {
+    super();
+    // runId -> { promptTokens (estimated), startedAt }
+    this.runs = new Map();
+  }
+
+  handleChatModelStart(_llm, messages, runId) {
+    const prompt = messages.flat().map((message) => messageText(message.content));
+    this.runs.set(runId, { promptTokens: estimateTokens(prompt.join("\n")), startedAt: Date.now() });
+  }
+
+  handleLLMEnd(output, runId) {
+    const run = this.runs.get(runId) ?? { promptTokens: 0, startedAt: Date.now() };
+    this.runs.delete(runId);
+
+    const generations = output.generations.flat();
+    const reported = generations.reduce(
+      (sum, g) => {
+        const usage = g.message?.usage_metadata;
+        return usage
+          ? {
+              prompt: sum.prompt + (usage.input_tokens ?? 0),
+              completion: sum.completion + (usage.output_tokens ?? 0),
+              total: sum.total + (usage.total_tokens ?? 0),
+            }
+          : sum;
+      },
+      { prompt: 0, completion: 0, total: 0 }
+    );
+    const tokenUsage = output.llmOutput?.tokenUsage;
+    if (!reported.total && tokenUsage?.totalTokens) {
+      reported.prompt = tokenUsage.promptTokens ?? 0;
+      reported.completion = tokenUsage.completionTokens ?? 0;
+      reported.total = tokenUsage.totalTokens;
+    }
+
+    const estimated = !reported.total;
+    const promptTokens = estimated ? run.promptTokens : reported.prompt;
+    const completionTokens = estimated
+      ? estimateTokens(generations.map((g) => g.text ?? "").join(""))
+      : reported.completion;
+
+    const usage = {
+      tokens: estimated ? promptTokens + completionTokens : reported.total,
+      promptTokens,
+      completionTokens,
+      estimated,
+      durationMs: Date.now() - run.startedAt,
+    };
+    usageListeners.forEach((listener) => listener(usage));
+  }
+
+  handleLLMError(_error, runId) {
+    this.runs.delete(runId);
+  }
+}
+
+const tokenUsageHandler = new TokenUsageHandler();
+
+/**
+ * Create the chat model for the configured provider
+ */
+function createChatModel() {
+  const config = getProviderConfig();
+  const callbacks = [tokenUsageHandler];
+
+  switch (config.provider) {
+    case "fixture":
+      return new FixtureChatModel({ fixturesFile: config.fixturesFile, callbacks });
+
+    case "openai-compatible":
+      if (!config.baseURL) {
+        throw new Error(
+          'LLM_PROVIDER "openai-compatible" requires LLM_BASE_URL (e.g. http://localhost:11434/v1)'
+        );
+      }
+      return new ChatOpenAI({
+        model: config.model,
+        // Local servers usually ignore the key, but the client requires one
+        apiKey: process.env.LLM_API_KEY || "not-needed",
+        configuration: { baseURL: config.baseURL },
+        callbacks,
+      });
+
+    default:
+      return new ChatOpenAI({
+        model: config.model,
+        apiKey: process.env.OPEN_API_KEY,
+        callbacks,
+      });
+  }
+}
+
+/**
+ * Create the embeddings model for the configured provider
+ */
+function createEmbeddings() {
+  const config = getEmbeddingsConfig();
+
+  switch (config.provider) {
+    case "fixture":
+      return new FixtureEmbeddings();
+
+    case "local":
+      return createLocalEmbeddings({ model: config.model });
+
+    case "openai-compatible":
+      if (!config.baseURL) {
+        throw new Error(
+          'EMBEDDINGS_PROVIDER "openai-compatible" requires LLM_BASE_URL (e.g. http://localhost:11434/v1)'
+        );
+      }
+      return new OpenAIEmbeddings({
+        model: config.model,
+        apiKey: process.env.LLM_API_KEY || "not-needed",
+        configuration: { baseURL: config.baseURL },
+      });
+
+    default:
+      return new OpenAIEmbeddings({
+        model: config.model,
+        apiKey: process.env.OPEN_API_KEY,
+      });
+  }
+}
+
+/**
+ * Describe the active provider (for logging and /health)
+ */
+function getProviderInfo() {
+  const config = getProviderConfig();
+  const embeddings = getEmbeddingsConfig();
+  return {
+    provider: config.provider,
+    model: config.model || "default",
+    ...(config.provider === "openai-compatible" && { baseURL: config.baseURL }),
+    embeddings: { provider: embeddings.provider, model: embeddings.model || "default" },
+  };
+}
+
+export {
+  createChatModel,
+  createEmbeddings,
+  getProviderInfo,
+  onTokenUsage,
+  FixtureChatModel,
+  FixtureEmbeddings,
+};
@@ -0,0 +1,156 @@
+/**
+ * Local Embeddings
+ *
+ * Embeddings computed on the CPU, so vector search works offline and
+ * building the index costs no API calls (EMBEDDINGS_PROVIDER=local):
+ *
+ * - LocalEmbeddings: a hashed vectorizer over the keyword index's stemmed
+ *   terms, word pairs and character n-grams. N-grams let "mikrotjänster"
+ *   match "tjänster" and survive typos ("kubernets"). Deterministic: the
+ *   same text always gets the same vector, on any machine.
+ * - TransformersEmbeddings: a small sentence-embedding model run locally
+ *   with transformers.js, when EMBEDDINGS_MODEL names one and the
+ *   @huggingface/transformers package is installed.
+ *
+ * Feature weights are fixed rather than learned from the indexed documents
+ * (no corpus IDF), so a document's vector never depends on the other
+ * documents and the vector index can still be updated incrementally.
+ */
+
+import { Embeddings } from "@langchain/core/embeddings";
+import { tokenize } from "./keyword-index.js";
+import { detectLanguage } from "./language.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const LOCAL_EMBEDDINGS_DIMENSIONS = Number(process.env.LOCAL_EMBEDDINGS_DIMENSIONS) || 1024;
+// EMBEDDINGS_MODEL for the hashed vectorizer
+const HASHED_MODEL = "hashed";
+
+// Relative weight of each kind of feature: whole terms count most, word
+// pairs add some phrase order, character n-grams catch partial matches
+const FEATURE_WEIGHTS = { t: 1, p: 0.5, g: 0.2 };
+const NGRAM_SIZE = 3;
+
+/**
+ * 32-bit FNV-1a hash (fast and stable across Node versions)
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Feature counts of a text: terms ("t:developer"), word pairs
+ * ("p:backend develop") and character n-grams of the terms ("g:<de")
+ */
+function countFeatures(text) {
+  const terms = tokenize(text, detectLanguage(text));
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) ?? 0) + 1);
+
+  terms.forEach((term, i) => {
+    add(`t:${term}`);
+    if (i > 0) {
+      add(`p:${terms[i - 1]} ${term}`);
+    }
+    const padded = `<${term}>`;
+    for (let start = 0; start + NGRAM_SIZE <= padded.length; start++) {
+      add(`g:${padded.slice(start, start + NGRAM_SIZE)}`);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Hashed bag of features, L2-normalized. Repeated features are damped
+ * (1 + log), and each feature's sign comes from its hash so collisions
+ * cancel out rather than add up.
+ */
+class LocalEmbeddings extends Embeddings {
+  constructor({ dimensions = LOCAL_EMBEDDINGS_DIMENSIONS, ...rest } = {}) {
+    super(rest);
+    this.dimensions = dimensions;
+    this.model = `local-hashed-${dimensions}`;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    countFeatures(text).forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * FEATURE_WEIGHTS[feature[0]] * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+}
+
+/**
+ * A sentence-embedding model from the Hugging Face hub run on the CPU with
+ * transformers.js (e.g. "Xenova/multilingual-e5-small"). The model is
+ * downloaded on first use and cached by transformers.js.
+ */
+class TransformersEmbeddings extends Embeddings {
+  constructor({ model, ...rest }) {
+    super(rest);
+    this.model = `local-${model}`;
+    this.modelName = model;
+    this.extractor = null;
+  }
+
+  async loadExtractor() {
+    if (!this.extractor) {
+      let transformers;
+      try {
+        transformers = await import("@huggingface/transformers");
+      } catch {
+        throw new Error(
+          `EMBEDDINGS_MODEL "${this.modelName}" needs @huggingface/transformers: ` +
+            "npm install @huggingface/transformers (or unset it to use the hashed embeddings)"
+        );
+      }
+      this.extractor = transformers.pipeline("feature-extraction", this.modelName).catch((error) => {
+        // Try again on the next call (e.g. after a failed download)
+        this.extractor = null;
+        throw error;
+      });
+    }
+    return this.extractor;
+  }
+
+  async embedDocuments(texts) {
+    const extractor = await this.loadExtractor();
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  }
+
+  async embedQuery(text) {
+    const [embedding] = await this.embedDocuments([text]);
+    return embedding;
+  }
+}
+
+/**
+ * The local embeddings for a model name: the hashed vectorizer ("hashed")
+ * or a transformers.js model
+ */
+function createLocalEmbeddings({ model = HASHED_MODEL } = {}) {
+  return model === HASHED_MODEL ? new LocalEmbeddings() : new TransformersEmbeddings({ model });
+}
+
+export { LocalEmbeddings, TransformersEmbeddings, HASHED_MODEL, createLocalEmbeddings };
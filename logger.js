@@ -0,0 +1,202 @@
+/**
+ * Structured Logging
+ *
+ * Logs are JSON lines ({ time, level, msg, ...fields }) so they can be
+ * searched and aggregated in production. Every HTTP request gets an id
+ * (X-Request-Id, taken from the client or generated) and a context that the
+ * code handling it fills in as it goes: agent mode, retrieved documents,
+ * retrieval and LLM timings, token usage, errors. When the response is
+ * finished, the whole context is logged as one line, so a bad answer can be
+ * traced from a single log entry.
+ *
+ * The context also collects debug info (e.g. the retrieval pipeline's
+ * intermediate results), which is not logged but returned to requests that
+ * ask for it.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { performance } from "perf_hooks";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+  // Lines logged while handling a request carry its id
+  const requestId = requestContext.getStore()?.requestId;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { requestId }),
+    ...fields,
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+/**
+ * Error fields for a log entry
+ */
+function serializeError(error) {
+  return { message: error.message, name: error.name, stack: error.stack };
+}
+
+/**
+ * Context of the request being handled, or null outside a request
+ */
+function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+/**
+ * Add fields (mode, lang, question, documents, ...) to the request's log entry
+ */
+function setRequestFields(fields) {
+  const context = getRequestContext();
+  if (context) {
+    Object.assign(context.fields, fields);
+  }
+}
+
+/**
+ * Add debug info (not logged) to the request
+ */
+function setDebugInfo(info) {
+  const context = getRequestContext();
+  if (context) {
+    Object.assign(context.debug, info);
+  }
+}
+
+/**
+ * The request's debug info, or null when there is none
+ */
+function getDebugInfo() {
+  const debug = getRequestContext()?.debug;
+  return debug && Object.keys(debug).length > 0 ? debug : null;
+}
+
+/**
+ * Record an error for the request's log entry (and error metrics), also for
+ * responses that still succeed at the HTTP level, like a failed SSE stream
+ */
+function recordRequestError(error) {
+  setRequestFields({ error: serializeError(error) });
+}
+
+/**
+ * Add time spent in a phase ("retrievalMs", "llmMs", ...) to the request
+ */
+function addTiming(phase, ms) {
+  const context = getRequestContext();
+  if (context) {
+    context.timings[phase] = (context.timings[phase] || 0) + ms;
+  }
+}
+
+/**
+ * Run fn (sync or async) and add its duration to a phase
+ */
+async function timed(phase, fn) {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    addTiming(phase, performance.now() - start);
+  }
+}
+
+/**
+ * Add chat model token usage ({ promptTokens, completionTokens, tokens,
+ * estimated }) to the request
+ */
+function addTokenUsage({ promptTokens = 0, completionTokens = 0, tokens = 0, estimated = false }) {
+  const context = getRequestContext();
+  if (context) {
+    const usage = context.tokens;
+    usage.prompt += promptTokens;
+    usage.completion += completionTokens;
+    usage.total += tokens;
+    usage.estimated = usage.estimated || estimated;
+    usage.calls += 1;
+  }
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware: give the request an id and a context, and log it when
+ * the response is finished. onFinish(req, res, entry) is called with the log
+ * entry first (for metrics).
+ */
+function requestLogger({ onFinish } = {}) {
+  return (req, res, next) => {
+    const given = req.get("X-Request-Id");
+    const requestId = given && REQUEST_ID_PATTERN.test(given) ? given : randomUUID();
+    const start = performance.now();
+    const context = {
+      requestId,
+      fields: {},
+      timings: {},
+      debug: {},
+      tokens: { prompt: 0, completion: 0, total: 0, estimated: false, calls: 0 },
+    };
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const entry = {
+        requestId,
+        method: req.method,
+        path: req.path,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - start),
+        ...context.fields,
+        ...(Object.keys(context.timings).length > 0 && {
+          timings: Object.fromEntries(
+            Object.entries(context.timings).map(([phase, ms]) => [phase, Math.round(ms)])
+          ),
+        }),
+        ...(context.tokens.calls > 0 && { tokens: context.tokens }),
+      };
+
+      onFinish?.(req, res, entry);
+
+      const failed = res.statusCode >= 500 || entry.error;
+      write(failed ? "error" : "info", "request", entry);
+    });
+
+    requestContext.run(context, next);
+  };
+}
+
+export {
+  logger,
+  serializeError,
+  requestLogger,
+  getRequestContext,
+  setRequestFields,
+  setDebugInfo,
+  getDebugInfo,
+  recordRequestError,
+  addTiming,
+  timed,
+  addTokenUsage,
+};
@@ -0,0 +1,274 @@
+/**
+ * Answer Formatting
+ *
+ * The model answers in Markdown (lists of employees, bold names, links).
+ * renderMarkdown() turns the subset it uses into HTML for the web interface
+ * and `format=html`; markdownToText() strips it for `format=text`.
+ *
+ * Rendering is safe by construction: all text is escaped before any markup
+ * is added, so raw HTML in an answer (or in a question the model repeats)
+ * shows up as text, and links are only made for http(s), mailto: and tel:
+ * URLs. Email addresses and international phone numbers become mailto: and
+ * tel: links. The result then goes through sanitizeHtml(), an allowlist of
+ * tags and attributes, so a renderer bug can't produce a script, an event
+ * handler or a javascript: link.
+ */
+
+const ANSWER_FORMATS = ["html", "markdown", "text"];
+
+// Tags the renderer produces, with the attributes each may keep
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: [],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ["start"],
+  li: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  a: ["href", "rel", "target"],
+};
+
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:|tel:)/i;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) || 0xfffd))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Number(dec) || 0xfffd))
+    .replace(/&(?:quot|apos|lt|gt|amp|colon|tab|newline);/gi, (entity) => ({
+      "&quot;": '"', "&apos;": "'", "&lt;": "<", "&gt;": ">", "&amp;": "&",
+      "&colon;": ":", "&tab;": "\t", "&newline;": "\n",
+    })[entity.toLowerCase()]);
+}
+
+/**
+ * Is the URL one a link may point to? Whitespace and control characters are
+ * ignored the way browsers ignore them ("java\tscript:" is javascript:).
+ */
+function isSafeUrl(url) {
+  // Drop C0 controls, space, DEL and C1 controls before checking the scheme
+  return SAFE_URL_PATTERN.test(decodeEntities(url).replace(/[\u0000- \u007f-\u009f]/g, ""));
+}
+
+/**
+ * Keep only allowlisted tags and attributes (and safe hrefs); everything
+ * else that looks like a tag is escaped, so it shows as text
+ */
+function sanitizeHtml(html) {
+  return html.replace(/<[^>]*>?/g, (tag) => {
+    const match = tag.match(/^<(\/?)([a-z][a-z0-9]*)((?:\s+[a-z-]+="[^"<>]*")*)\s*\/?>$/i);
+    const name = match?.[2].toLowerCase();
+    if (!match || !Object.hasOwn(ALLOWED_TAGS, name)) {
+      return escapeHtml(tag);
+    }
+    if (match[1]) {
+      return `</${name}>`;
+    }
+    const attributes = [...match[3].matchAll(/([a-z-]+)="([^"]*)"/gi)]
+      .map(([, attribute, value]) => [attribute.toLowerCase(), value])
+      .filter(([attribute, value]) => ALLOWED_TAGS[name].includes(attribute) && (attribute !== "href" || isSafeUrl(value)))
+      .map(([attribute, value]) => ` ${attribute}="${value}"`);
+    return `<${name}${attributes.join("")}>`;
+  });
+}
+
+function renderLink(text, url) {
+  if (!isSafeUrl(url)) {
+    return text;
+  }
+  const external = /^https?:/i.test(url) ? ' rel="noopener noreferrer nofollow" target="_blank"' : "";
+  return `<a href="${escapeHtml(url)}"${external}>${text}</a>`;
+}
+
+// [text](url), where the URL may contain balanced parentheses
+const LINK_PATTERN = /\[([^\]\n]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?\s*\)/;
+
+// Code spans, [text](url) links, bare URLs, email addresses and phone
+// numbers in international format ("+46 768 14 70 14")
+const INLINE_TOKEN_PATTERN = new RegExp(
+  [
+    /`([^`\n]+)`/,
+    LINK_PATTERN,
+    /(https?:\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]])/,
+    /([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/,
+    /(\+\d{1,3}(?:[ -]?\d{1,4}){2,5})/,
+  ]
+    .map((pattern) => pattern.source)
+    .join("|"),
+  "g"
+);
+
+function renderEmphasis(escaped) {
+  return escaped
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<strong>$2</strong>")
+    .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "<del>$1</del>");
+}
+
+/**
+ * One line of Markdown text to HTML. Tokens (code, links, ...) are replaced
+ * by placeholders while the rest is escaped and emphasized, then rendered.
+ */
+function renderInline(text) {
+  const tokens = [];
+  const placeholder = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  const withPlaceholders = text
+    .replace(/\u0000/g, "")
+    .replace(INLINE_TOKEN_PATTERN, (_, code, linkText, linkUrl, url, email, phone) => {
+      if (code !== undefined) {
+        return placeholder(`<code>${escapeHtml(code)}</code>`);
+      }
+      if (linkText !== undefined) {
+        return placeholder(renderLink(renderEmphasis(escapeHtml(linkText)), linkUrl));
+      }
+      if (url !== undefined) {
+        return placeholder(renderLink(escapeHtml(url), url));
+      }
+      if (email !== undefined) {
+        return placeholder(renderLink(escapeHtml(email), `mailto:${email}`));
+      }
+      return placeholder(renderLink(escapeHtml(phone), `tel:${phone.replace(/[ -]/g, "")}`));
+    });
+
+  return renderEmphasis(escapeHtml(withPlaceholders)).replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[i]);
+}
+
+const BLOCK_PATTERNS = {
+  fence: /^\s*(```|~~~)/,
+  heading: /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/,
+  unordered: /^\s*[-*+]\s+(.*)$/,
+  ordered: /^\s*(\d{1,9})[.)]\s+(.*)$/,
+  quote: /^\s*>\s?(.*)$/,
+  rule: /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/,
+};
+
+/**
+ * Markdown to sanitized HTML: paragraphs, line breaks, headings (as h3-h6,
+ * below the page's own headings), lists, block quotes, code, emphasis and
+ * links. Anything else stays text.
+ */
+function renderMarkdown(markdown) {
+  const lines = String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  const collect = (pattern) => {
+    const items = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      items.push(lines[i].match(pattern));
+      i++;
+    }
+    return items;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "" || BLOCK_PATTERNS.rule.test(line)) {
+      i++;
+    } else if (BLOCK_PATTERNS.fence.test(line)) {
+      const fence = line.match(BLOCK_PATTERNS.fence)[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+    } else if (BLOCK_PATTERNS.heading.test(line)) {
+      const [, hashes, text] = line.match(BLOCK_PATTERNS.heading);
+      const level = Math.min(hashes.length + 2, 6);
+      blocks.push(`<h${level}>${renderInline(text)}</h${level}>`);
+      i++;
+    } else if (BLOCK_PATTERNS.unordered.test(line)) {
+      const items = collect(BLOCK_PATTERNS.unordered).map(([, text]) => `<li>${renderInline(text)}</li>`);
+      blocks.push(`<ul>${items.join("")}</ul>`);
+    } else if (BLOCK_PATTERNS.ordered.test(line)) {
+      const items = collect(BLOCK_PATTERNS.ordered);
+      const start = Number(items[0][1]);
+      const html = items.map(([, , text]) => `<li>${renderInline(text)}</li>`).join("");
+      blocks.push(`<ol${start !== 1 ? ` start="${start}"` : ""}>${html}</ol>`);
+    } else if (BLOCK_PATTERNS.quote.test(line)) {
+      const quoted = collect(BLOCK_PATTERNS.quote).map(([, text]) => text);
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+    } else {
+      const paragraph = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() !== "" &&
+        !Object.values(BLOCK_PATTERNS).some((pattern) => pattern.test(lines[i]))
+      ) {
+        paragraph.push(renderInline(lines[i].trim()));
+        i++;
+      }
+      blocks.push(`<p>${paragraph.join("<br>")}</p>`);
+    }
+  }
+
+  return sanitizeHtml(blocks.join("\n"));
+}
+
+/**
+ * Markdown to plain text: markup removed, links as "text (url)" (unsafe
+ * URLs dropped)
+ */
+function markdownToText(markdown) {
+  return String(markdown ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !BLOCK_PATTERNS.fence.test(line) && !BLOCK_PATTERNS.rule.test(line))
+    .map((line) =>
+      line
+        .replace(BLOCK_PATTERNS.heading, "$2")
+        .replace(/^(\s*)[*+]\s+/, "$1- ")
+        .replace(/^(\s*)>\s?/, "$1")
+        .replace(new RegExp(LINK_PATTERN.source, "g"), (_, text, url) =>
+          text === url || `mailto:${text}` === url || !isSafeUrl(url) ? text : `${text} (${url})`
+        )
+        .replace(/`([^`\n]+)`/g, "$1")
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+        .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])/g, "$1$2")
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "$1")
+    )
+    .join("\n")
+    .trim();
+}
+
+/**
+ * An answer in one of ANSWER_FORMATS: "markdown" (as written by the model),
+ * "html" (rendered and sanitized) or "text"
+ */
+function formatAnswer(answer, format = "markdown") {
+  if (format === "html") {
+    return renderMarkdown(answer);
+  }
+  return format === "text" ? markdownToText(answer) : answer;
+}
+
+export {
+  ANSWER_FORMATS,
+  escapeHtml,
+  sanitizeHtml,
+  isSafeUrl,
+  renderMarkdown,
+  markdownToText,
+  formatAnswer,
+};
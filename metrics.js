@@ -0,0 +1,134 @@
+/**
+ * Prometheus Metrics
+ *
+ * A minimal metrics registry (counters, histograms and collected values,
+ * with labels) rendered in the Prometheus text format for GET /metrics. Only
+ * what this app needs, so there's no client library to install.
+ */
+
+// Seconds; questions take anywhere from a cache hit to a slow multi-step agent
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * Values per label combination
+ */
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // JSON of the labels -> { labels, ... }
+    this.series = new Map();
+    metrics.push(this);
+  }
+
+  seriesFor(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.values()].flatMap((series) => this.renderSeries(series)),
+    ];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+/**
+ * Values read when metrics are rendered, from counters or state kept
+ * elsewhere (e.g. the answer cache's stats). collect() returns
+ * [{ labels, value }]; type is "gauge" or "counter".
+ */
+class CollectedMetric extends Metric {
+  constructor(type, name, help, collect) {
+    super(type, name, help);
+    this.collect = collect;
+  }
+
+  render() {
+    this.series.clear();
+    this.collect().forEach(({ labels = {}, value }) => {
+      this.seriesFor(labels, () => ({ value }));
+    });
+    return super.render();
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map(
+        (bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  return `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+}
+
+export { Counter, CollectedMetric, Histogram, renderMetrics };
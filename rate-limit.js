@@ -0,0 +1,212 @@
+/**
+ * Rate Limiting
+ *
+ * The ask endpoints call the paid LLM, so requests are limited per client IP
+ * and per API key in fixed windows, and the whole service has a daily token
+ * budget. Once the budget is spent, questions get a polite refusal until the
+ * next day (UTC). Refusals are in the request's language (its `lang`, the API
+ * key's default or the language of the question).
+ *
+ * Counters live in a pluggable store: anything implementing get/increment
+ * (async) can replace InMemoryRateLimitStore, e.g. Redis, so limits are
+ * shared between server instances.
+ */
+
+import { getFaqData } from "./knowledge-base.js";
+import { DEFAULT_LANGUAGE, detectLanguage, isSupportedLanguage } from "./language.js";
+import { escapeHtml } from "./markdown.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a non-negative number from the environment (0 disables a limit)
+ */
+function limitFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const MESSAGES = {
+  en: {
+    budget: "We've answered a lot of questions today and have reached our daily limit. Please try again tomorrow",
+    budgetEmail: ", or email us at {email}",
+    tooMany: "You can ask up to {max} questions per {seconds} seconds. Please wait a moment and try again.",
+  },
+  sv: {
+    budget: "Vi har svarat på många frågor i dag och nått vår dagliga gräns. Försök igen i morgon",
+    budgetEmail: ", eller mejla oss på {email}",
+    tooMany: "Du kan ställa upp till {max} frågor per {seconds} sekunder. Vänta en stund och försök igen.",
+  },
+};
+
+const DEFAULT_LIMITS = {
+  windowSeconds: limitFromEnv("RATE_LIMIT_WINDOW_SECONDS", 60) || 60,
+  perIp: limitFromEnv("RATE_LIMIT_PER_IP", 20),
+  perKey: limitFromEnv("RATE_LIMIT_PER_KEY", 60),
+  dailyTokenBudget: limitFromEnv("DAILY_TOKEN_BUDGET", 0),
+};
+
+/**
+ * In-memory counters in fixed windows (aligned to the epoch, so daily
+ * windows start at midnight UTC).
+ *
+ * Store interface:
+ * - get(key, windowMs) -> Promise<{ total, resetAt }>
+ * - increment(key, amount, windowMs) -> Promise<{ total, resetAt }>
+ */
+class InMemoryRateLimitStore {
+  constructor() {
+    // key -> { windowStart, windowMs, total }
+    this.counters = new Map();
+  }
+
+  async get(key, windowMs) {
+    const windowStart = currentWindow(windowMs);
+    const counter = this.counters.get(key);
+    const total = counter && counter.windowStart === windowStart ? counter.total : 0;
+    return { total, resetAt: windowStart + windowMs };
+  }
+
+  async increment(key, amount, windowMs) {
+    this.pruneExpired();
+    const windowStart = currentWindow(windowMs);
+    const counter = this.counters.get(key);
+    const total = (counter && counter.windowStart === windowStart ? counter.total : 0) + amount;
+    this.counters.set(key, { windowStart, windowMs, total });
+    return { total, resetAt: windowStart + windowMs };
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (now >= counter.windowStart + counter.windowMs) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+function currentWindow(windowMs) {
+  return Math.floor(Date.now() / windowMs) * windowMs;
+}
+
+/**
+ * Send a 429 as JSON or as an HTMX error fragment
+ */
+function reject(res, format, { error, message, resetAt }) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+
+  if (format === "html") {
+    return res.status(429).send(`
+        <div class="error-message" role="alert">
+          <strong>${escapeHtml(error)}:</strong> ${escapeHtml(message)}
+        </div>
+      `);
+  }
+  return res.status(429).json({ error, message, retryAfter });
+}
+
+/**
+ * Language to refuse a request in: its lang parameter or the API key's
+ * default, otherwise detected from the question
+ */
+function requestLanguage(req) {
+  const params = { ...req.query, ...req.body };
+  const lang = params.lang || req.apiKey?.lang;
+  if (isSupportedLanguage(lang)) {
+    return lang;
+  }
+  const question = params.question ?? params.q;
+  return typeof question === "string" ? detectLanguage(question) : DEFAULT_LANGUAGE;
+}
+
+function budgetMessage(lang) {
+  const { email } = getFaqData()[lang].contact;
+  return `${MESSAGES[lang].budget}${email ? MESSAGES[lang].budgetEmail.replace("{email}", email) : ""}.`;
+}
+
+/**
+ * Create the limiter for the ask endpoints.
+ *
+ * Returns:
+ * - limitRequests(format): Express middleware answering 429 in "json" or
+ *   "html" (HTMX fragment) format
+ * - recordTokens(tokens): count LLM tokens against the daily budget
+ * - getStatus(): configured limits and today's token use (for /health)
+ */
+function createRateLimiter({ store = new InMemoryRateLimitStore(), ...options } = {}) {
+  const { windowSeconds, perIp, perKey, dailyTokenBudget } = { ...DEFAULT_LIMITS, ...options };
+  const windowMs = windowSeconds * 1000;
+
+  function limitRequests(format = "json") {
+    return async (req, res, next) => {
+      try {
+        if (dailyTokenBudget > 0) {
+          const { total, resetAt } = await store.get("tokens:daily", DAY_MS);
+          if (total >= dailyTokenBudget) {
+            return reject(res, format, {
+              error: "Daily limit reached",
+              message: budgetMessage(requestLanguage(req)),
+              resetAt,
+            });
+          }
+        }
+
+        // The streaming UI posts to /ask for a placeholder and then asks
+        // /ask/stream, so only the second request is counted
+        const consume = !(format === "html" && req.body?.stream);
+
+        const limits = [
+          ["ip", req.ip, perIp],
+          ["key", req.apiKey?.id, perKey],
+        ].filter(([, id, max]) => id && max > 0);
+
+        for (const [scope, id, max] of limits) {
+          const key = `requests:${scope}:${id}`;
+          const { total, resetAt } = consume
+            ? await store.increment(key, 1, windowMs)
+            : await store.get(key, windowMs);
+
+          if (consume ? total > max : total >= max) {
+            return reject(res, format, {
+              error: "Too many requests",
+              message: MESSAGES[requestLanguage(req)].tooMany
+                .replace("{max}", max)
+                .replace("{seconds}", windowSeconds),
+              resetAt,
+            });
+          }
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  async function recordTokens(tokens) {
+    if (tokens > 0) {
+      await store.increment("tokens:daily", tokens, DAY_MS);
+    }
+  }
+
+  async function getStatus() {
+    const { total } = await store.get("tokens:daily", DAY_MS);
+    return {
+      windowSeconds,
+      perIp,
+      perKey,
+      dailyTokenBudget,
+      tokensUsedToday: total,
+    };
+  }
+
+  return { limitRequests, recordTokens, getStatus };
+}
+
+export { createRateLimiter, InMemoryRateLimitStore };
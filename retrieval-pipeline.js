@@ -0,0 +1,389 @@
+/**
+ * Retrieval Pipeline
+ *
+ * Optional stages around a retriever, for questions whose words don't match
+ * the documents ("who is the boss?", "who handles the k8s stuff?"):
+ *
+ * 1. Query expansion, each stage adding a query:
+ *    - synonyms: the question plus known synonyms of its words (no LLM call)
+ *    - paraphrase: RETRIEVAL_PARAPHRASES rewordings from the chat model
+ *    - translate: the question translated by the chat model into the answer
+ *      language, when it is written in another one
+ * 2. Multi-query retrieval: every query is searched, and the result lists
+ *    are merged with reciprocal rank fusion
+ * 3. rerank: the merged candidates are scored against the queries again,
+ *    one (query, document) pair at a time: by term, word pair and partial
+ *    word overlap (RERANKER=local), or by the chat model (RERANKER=llm)
+ *
+ * Stages are enabled with RETRIEVAL_STAGES (e.g. "synonyms,rerank"); with
+ * none, the retriever is called once with the question as before. Each run
+ * records what every stage produced (queries, results per query, merged and
+ * reranked lists): logged at debug level and returned by the API for
+ * requests with `debug` set (see getDebugInfo() in logger.js).
+ */
+
+import { createChatModel } from "./llm-provider.js";
+import { chunkText } from "./agent-streaming.js";
+import { tokenize } from "./keyword-index.js";
+import { detectLanguage } from "./language.js";
+import { logger, setDebugInfo, timed } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const STAGES = ["synonyms", "paraphrase", "translate", "rerank"];
+const RERANKERS = ["local", "llm"];
+
+/**
+ * Resolve pipeline settings from environment variables
+ */
+function getPipelineConfig() {
+  const stages = (process.env.RETRIEVAL_STAGES || "")
+    .split(",")
+    .map((stage) => stage.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = stages.filter((stage) => !STAGES.includes(stage));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown RETRIEVAL_STAGES "${unknown.join(", ")}". Use any of: ${STAGES.join(", ")}`);
+  }
+
+  const reranker = (process.env.RERANKER || "local").toLowerCase();
+  if (!RERANKERS.includes(reranker)) {
+    throw new Error(`Unknown RERANKER "${reranker}". Use one of: ${RERANKERS.join(", ")}`);
+  }
+
+  return {
+    stages: STAGES.filter((stage) => stages.includes(stage)),
+    paraphrases: Number(process.env.RETRIEVAL_PARAPHRASES) || 2,
+    reranker,
+    // Documents taken from each query when reranking, so the reranker has a choice
+    candidates: Number(process.env.RERANK_CANDIDATES) || 10,
+  };
+}
+
+const SETTINGS = getPipelineConfig();
+
+// Words and abbreviations that mean the same thing, as a general thesaurus
+// for questions about a company: each word is expanded with the others in its
+// group. Keep it generic (roles, jobs, contact details, common tech names),
+// not fitted to the wording of one faq.json. Words are matched and searched
+// like any question (stemmed, no stop words).
+const SYNONYM_GROUPS = {
+  en: [
+    ["boss", "ceo", "chief executive", "managing director", "leader"],
+    ["job", "vacancy", "opening", "position", "career", "hiring", "recruiting"],
+    ["phone", "telephone", "call"],
+    ["email", "e-mail", "mail"],
+    ["contact", "reach"],
+    ["address", "location", "located", "headquarters"],
+    ["kubernetes", "k8s", "container orchestration"],
+    ["javascript", "js"],
+    ["typescript", "ts"],
+    ["dotnet", ".net", "csharp"],
+    ["frontend", "front-end", "user interface", "ui"],
+    ["backend", "back-end", "server-side"],
+    ["mobile", "ios", "android", "iphone", "smartphone"],
+    ["machine learning", "ml", "artificial intelligence", "ai"],
+  ],
+  sv: [
+    ["chef", "chefen", "vd", "verkställande direktör", "ledare"],
+    ["jobb", "tjänst", "lediga", "karriär", "anställning", "rekryterar"],
+    ["telefon", "telefonnummer", "ringa"],
+    ["e-post", "mejl", "mejladress"],
+    ["kontakt", "kontakta"],
+    ["adress", "ligger", "huvudkontor"],
+    ["kubernetes", "k8s", "orkestrering"],
+    ["javascript", "js"],
+    ["dotnet", ".net"],
+    ["frontend", "front-end", "gränssnitt"],
+    ["backend", "back-end", "serversidan"],
+    ["mobil", "mobilen", "ios", "android", "iphone"],
+    ["maskininlärning", "ml", "ai"],
+  ],
+};
+
+// Synonyms keyed by stemmed term, built on first use per language
+const synonymIndexes = new Map();
+
+function getSynonymIndex(lang) {
+  if (!synonymIndexes.has(lang)) {
+    const index = new Map();
+    (SYNONYM_GROUPS[lang] || []).forEach((group) => {
+      group.forEach((word) => {
+        const synonyms = group.filter((other) => other !== word).join(" ");
+        tokenize(word, lang).forEach((term) => index.set(term, [index.get(term), synonyms].filter(Boolean).join(" ")));
+      });
+    });
+    synonymIndexes.set(lang, index);
+  }
+  return synonymIndexes.get(lang);
+}
+
+/**
+ * The synonyms of the query's words, as one string ("" when there are none)
+ */
+function findSynonyms(query, lang) {
+  const index = getSynonymIndex(lang);
+  const synonyms = new Set(tokenize(query, lang).map((term) => index.get(term)).filter(Boolean));
+  return [...synonyms].join(" ");
+}
+
+/**
+ * The query with the synonyms of its words appended
+ */
+function expandWithSynonyms(query, lang) {
+  const synonyms = findSynonyms(query, lang);
+  return synonyms ? `${query} ${synonyms}` : query;
+}
+
+function isStageEnabled(stage) {
+  return SETTINGS.stages.includes(stage);
+}
+
+const LANGUAGE_NAMES = { en: "English", sv: "Swedish" };
+
+/**
+ * Ask the chat model for reworded versions of the query, one per line
+ */
+async function paraphraseQuery(query, count) {
+  const response = await createChatModel().invoke([
+    [
+      "system",
+      `Rewrite the user's question ${count} different ways for a search engine, in the same ` +
+        "language: use other words for the same things (synonyms, full names for abbreviations, " +
+        "the formal word for slang). Reply with one rewritten question per line and nothing else.",
+    ],
+    ["human", query],
+  ]);
+  return chunkText(response.content)
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:\d+[.)]|[-*])\s*/, "").trim())
+    .filter((line) => line.length > 0 && line !== query)
+    .slice(0, count);
+}
+
+/**
+ * Ask the chat model to translate the query into the answer language
+ */
+async function translateQuery(query, lang) {
+  const response = await createChatModel().invoke([
+    [
+      "system",
+      `Translate the user's question into ${LANGUAGE_NAMES[lang]}. Keep names and technical ` +
+        "terms as they are. Reply with the translation only.",
+    ],
+    ["human", query],
+  ]);
+  return chunkText(response.content).trim();
+}
+
+// RRF constant: dampens the advantage of the very first ranks (60 is the usual value)
+const RRF_K = 60;
+
+/**
+ * Reciprocal rank fusion: each list contributes 1 / (RRF_K + rank) for every
+ * document in it. Documents are deduplicated by id; the score is the sum.
+ * Lists: [[{ id, ... }]] each ordered best first
+ */
+function reciprocalRankFusion(resultLists, { k = RRF_K } = {}) {
+  const fused = new Map();
+
+  resultLists.forEach((results) => {
+    results.forEach((doc, i) => {
+      const score = 1 / (k + i + 1);
+      const existing = fused.get(doc.id);
+      if (existing) {
+        existing.score += score;
+      } else {
+        fused.set(doc.id, { ...doc, score });
+      }
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+function trigrams(term) {
+  const padded = `<${term}>`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Share of a's trigrams found in b ("kubernets" vs "kubernetes")
+function trigramOverlap(a, b) {
+  const grams = trigrams(a);
+  const other = trigrams(b);
+  return [...grams].filter((gram) => other.has(gram)).length / grams.size;
+}
+
+/**
+ * How well one document answers one query, from 0 to 1.5: the share of the
+ * query's terms in the document (a close partial match counts half), plus
+ * half the share of its word pairs that appear in the same order
+ */
+function crossScore(query, content, lang) {
+  const queryTerms = [...new Set(tokenize(query, lang))];
+  if (queryTerms.length === 0) {
+    return 0;
+  }
+  const docTerms = tokenize(content, lang);
+  const docTermSet = new Set(docTerms);
+
+  const coverage =
+    queryTerms.reduce((sum, term) => {
+      if (docTermSet.has(term)) {
+        return sum + 1;
+      }
+      return docTerms.some((docTerm) => trigramOverlap(term, docTerm) >= 0.6) ? sum + 0.5 : sum;
+    }, 0) / queryTerms.length;
+
+  const pairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+  const docPairs = new Set(docTerms.slice(1).map((term, i) => `${docTerms[i]} ${term}`));
+  const order = pairs.length > 0 ? pairs.filter((pair) => docPairs.has(pair)).length / pairs.length : 0;
+
+  return coverage + 0.5 * order;
+}
+
+/**
+ * Score every candidate against every query and keep its best score. The
+ * merged rank breaks ties.
+ */
+function rerankLocally(queries, candidates, lang) {
+  return candidates
+    .map((doc, rank) => ({
+      ...doc,
+      score: Math.max(...queries.map((query) => crossScore(query, doc.content, lang))) + 0.01 / (rank + 1),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Ask the chat model to order the candidates by relevance. Candidates it
+ * leaves out keep their merged order after the ones it ranked.
+ */
+async function rerankWithModel(query, candidates) {
+  const list = candidates.map((doc, i) => `[${i + 1}] ${doc.content.replace(/\s*\n\s*/g, "; ")}`).join("\n");
+  const response = await createChatModel().invoke([
+    [
+      "system",
+      "Order the numbered documents by how well they answer the user's question, most relevant " +
+        "first. Reply with the numbers only, separated by commas, e.g. 3, 1, 2.\n\n" +
+        `Documents:\n${list}`,
+    ],
+    ["human", query],
+  ]);
+
+  const ranked = [...new Set((chunkText(response.content).match(/\d+/g) || []).map(Number))]
+    .filter((n) => n >= 1 && n <= candidates.length)
+    .map((n) => candidates[n - 1]);
+  if (ranked.length === 0) {
+    throw new Error("the reply has no document numbers");
+  }
+  const ordered = [...ranked, ...candidates.filter((doc) => !ranked.includes(doc))];
+  return ordered.map((doc, i) => ({ ...doc, score: (ordered.length - i) / ordered.length }));
+}
+
+/**
+ * Returns { reranker, results } with the reranker that was actually used
+ */
+async function rerank(queries, candidates, lang) {
+  if (SETTINGS.reranker === "llm") {
+    try {
+      return { reranker: "llm", results: await rerankWithModel(queries[0], candidates) };
+    } catch (error) {
+      logger.warn("Reranking with the chat model failed, using the local reranker", { error: error.message });
+    }
+  }
+  return { reranker: "local", results: rerankLocally(queries, candidates, lang) };
+}
+
+/**
+ * The expanded queries for a query: [{ stage, text }], the query itself first.
+ * A failed chat model call drops that stage's queries.
+ */
+async function expandQuery(query, lang) {
+  const queries = [{ stage: "question", text: query }];
+  const add = (stage, text) => {
+    if (text && !queries.some((q) => q.text.toLowerCase() === text.toLowerCase())) {
+      queries.push({ stage, text });
+    }
+  };
+
+  if (isStageEnabled("synonyms")) {
+    add("synonyms", expandWithSynonyms(query, lang));
+  }
+  if (isStageEnabled("paraphrase")) {
+    try {
+      (await paraphraseQuery(query, SETTINGS.paraphrases)).forEach((text) => add("paraphrase", text));
+    } catch (error) {
+      logger.warn("Paraphrasing the question failed", { error: error.message });
+    }
+  }
+  if (isStageEnabled("translate") && detectLanguage(query) !== lang) {
+    try {
+      add("translate", await translateQuery(query, lang));
+    } catch (error) {
+      logger.warn("Translating the question failed", { error: error.message });
+    }
+  }
+  return queries;
+}
+
+const summarize = (results) => results.map(({ id, score }) => ({ id, score }));
+
+/**
+ * Retrieve documents for a query through the enabled stages.
+ * search(query, k) -> Promise<[{ id, content, score, ... }]> is the
+ * strategy's retriever. Returns the topK documents, best first.
+ * Chat model calls are timed as "rewriteMs" and "rerankMs", inside the
+ * caller's "retrievalMs".
+ */
+async function retrieve(query, { lang, search, topK }) {
+  const reranking = isStageEnabled("rerank");
+  const queries = await timed("rewriteMs", () => expandQuery(query, lang));
+
+  const resultLists = await Promise.all(
+    queries.map(({ text }) => search(text, reranking ? SETTINGS.candidates : topK))
+  );
+  // Searching one query keeps the retriever's own scores
+  const merged = resultLists.length === 1 ? resultLists[0] : reciprocalRankFusion(resultLists);
+  const reranked =
+    reranking && merged.length > 0
+      ? await timed("rerankMs", () => rerank(queries.map((q) => q.text), merged, lang))
+      : null;
+  const results = (reranked?.results || merged).slice(0, topK);
+
+  const trace = {
+    stages: SETTINGS.stages,
+    queries: queries.map((q, i) => ({ ...q, results: summarize(resultLists[i]) })),
+    merged: summarize(merged),
+    ...(reranked && { reranker: reranked.reranker, reranked: summarize(reranked.results) }),
+    results: results.map((doc) => doc.id),
+  };
+  logger.debug("retrieval", trace);
+  setDebugInfo({ retrieval: trace });
+
+  return results;
+}
+
+/**
+ * Pipeline settings for /health
+ */
+function getPipelineSettings() {
+  return {
+    stages: SETTINGS.stages,
+    ...(isStageEnabled("paraphrase") && { paraphrases: SETTINGS.paraphrases }),
+    ...(isStageEnabled("rerank") && { reranker: SETTINGS.reranker, candidates: SETTINGS.candidates }),
+  };
+}
+
+export {
+  retrieve,
+  reciprocalRankFusion,
+  expandWithSynonyms,
+  isStageEnabled,
+  getPipelineSettings,
+};
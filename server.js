@@ -1,9 +1,46 @@
 import express from "express";
-import cors from "cors";
-// Switch between different implementations:
-// import { runFAQAgent } from "./agent.js";              // Full context (loads everything)
-// import { runFAQAgent } from "./agent-with-rag.js";     // RAG with vector search (requires vector store)
-import { runFAQAgent } from "./agent-simple-rag.js";     // Simple RAG with keyword search (no extra deps)
+import { AGENT_MODES, getAgentStrategy, getStrategyInfo, isAgentMode } from "./agent-registry.js";
+import { getIndexStatus } from "./agent-with-rag.js";
+import { getProviderInfo, onTokenUsage } from "./llm-provider.js";
+import {
+  InMemorySessionStore,
+  createSessionId,
+  isValidSessionId,
+  runConversationTurn,
+  streamConversationTurn,
+} from "./session-store.js";
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  resolveLanguage,
+} from "./language.js";
+import { getFaqData, getKnowledgeBaseStatus, watchFaqFile } from "./knowledge-base.js";
+import { createAdminRouter } from "./admin.js";
+import { createRateLimiter } from "./rate-limit.js";
+import { AnswerCache } from "./answer-cache.js";
+import { getGuardrailSettings } from "./guardrails.js";
+import { getPipelineSettings } from "./retrieval-pipeline.js";
+import { FileLeadStore, LeadValidationError, validateContactRequest, suggestHandoff } from "./leads.js";
+import {
+  requireApiKey,
+  apiCors,
+  recordKeyTokens,
+  flushUsage,
+  getApiKeyStatus,
+} from "./api-keys.js";
+import {
+  requestLogger,
+  setRequestFields,
+  recordRequestError,
+  addTiming,
+  addTokenUsage,
+  logger,
+  serializeError,
+  getDebugInfo,
+} from "./logger.js";
+import { Counter, CollectedMetric, Histogram, renderMetrics } from "./metrics.js";
+import { ANSWER_FORMATS, escapeHtml, formatAnswer, renderMarkdown } from "./markdown.js";
 import * as dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
@@ -15,22 +52,243 @@ const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_QUESTION_LENGTH = Number(process.env.MAX_QUESTION_LENGTH) || 500;
+
+// Behind a reverse proxy, set TRUST_PROXY so rate limits see the client's IP:
+// "true", a number of proxy hops, or addresses/subnets (e.g. "loopback")
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== "false") {
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+app.use(requestLogger({ onFinish: recordRequestMetrics })); // Request ids and one log line per request
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse form data
-app.use(express.static(__dirname)); // Serve static files
+
+// Only the pages are served: faq.json, the leads, API keys and other data
+// files are written next to them and must not be downloadable
+const PUBLIC_PAGES = ["index.html", "admin.html", "example.html"];
+app.get("/", (req, res) => res.sendFile(join(__dirname, "index.html")));
+PUBLIC_PAGES.forEach((page) => app.get(`/${page}`, (req, res) => res.sendFile(join(__dirname, page))));
+
+// The JSON API needs an API key; CORS is allowed per key (see api-keys.js).
+// The web interface at / uses the keyless /ask routes instead.
+app.use("/api", requireApiKey, apiCors());
+
+// Conversation history per session (swap for a shared store when scaling out)
+const sessionStore = new InMemorySessionStore();
+
+// Request limits and the daily token budget for the ask endpoints
+const rateLimiter = createRateLimiter();
+onTokenUsage((usage) => {
+  rateLimiter
+    .recordTokens(usage.tokens)
+    .catch((error) => logger.error("Error recording token usage", { error: serializeError(error) }));
+  recordKeyTokens(usage.tokens);
+  addTokenUsage(usage);
+  addTiming("llmMs", usage.durationMs);
+});
+
+// Answers to repeated first questions (see answer-cache.js)
+const answerCache = new AnswerCache();
+
+new CollectedMetric("gauge", "faq_answer_cache_entries", "Answers in the answer cache", () => [
+  { value: answerCache.getStats().entries },
+]);
+new CollectedMetric("counter", "faq_answer_cache_lookups_total", "Answer cache lookups by result", () => {
+  const { exactHits, semanticHits, misses } = answerCache.getStats();
+  return [
+    { labels: { result: "exact" }, value: exactHits },
+    { labels: { result: "semantic" }, value: semanticHits },
+    { labels: { result: "miss" }, value: misses },
+  ];
+});
+
+// Metrics for GET /metrics, recorded from each request's log entry
+const httpRequests = new Counter("faq_http_requests_total", "HTTP requests by route, method and status");
+const httpDuration = new Histogram("faq_http_request_duration_seconds", "HTTP request latency by route");
+const questionDuration = new Histogram(
+  "faq_question_duration_seconds",
+  "Time to answer a question by endpoint and agent mode"
+);
+const questionErrors = new Counter(
+  "faq_question_errors_total",
+  "Questions that failed by endpoint and agent mode"
+);
+const retrievalDuration = new Histogram("faq_retrieval_duration_seconds", "Time spent retrieving documents per question");
+const llmDuration = new Histogram("faq_llm_duration_seconds", "Time spent in chat model calls per question");
+const llmTokens = new Counter("faq_llm_tokens_total", "Chat model tokens by agent mode and type (prompt, completion)");
+const leadsCreated = new Counter("faq_leads_total", "Contact requests and applications stored, by type");
+const guardrailRefusals = new Counter("faq_guardrail_refusals_total", "Questions handed off by the guardrails, by agent mode and reason");
+
+function recordRequestMetrics(req, res, entry) {
+  const route = entry.route ?? "other";
+  const seconds = entry.durationMs / 1000;
+  httpRequests.inc({ route, method: entry.method, status: entry.status });
+  httpDuration.observe({ route }, seconds);
+
+  // Only question endpoints set a mode (after validating the request)
+  if (!entry.mode) {
+    return;
+  }
+  const labels = { endpoint: `${entry.method} ${route}`, mode: entry.mode };
+  questionDuration.observe(labels, seconds);
+  if (entry.status >= 500 || entry.error) {
+    questionErrors.inc(labels);
+  }
+  if (entry.timings?.retrievalMs !== undefined) {
+    retrievalDuration.observe({ mode: entry.mode }, entry.timings.retrievalMs / 1000);
+  }
+  if (entry.timings?.llmMs !== undefined) {
+    llmDuration.observe({ mode: entry.mode }, entry.timings.llmMs / 1000);
+  }
+  if (entry.guardrail) {
+    guardrailRefusals.inc({ mode: entry.mode, reason: entry.guardrail.reason });
+  }
+  if (entry.tokens) {
+    llmTokens.inc({ mode: entry.mode, type: "prompt" }, entry.tokens.prompt);
+    llmTokens.inc({ mode: entry.mode, type: "completion" }, entry.tokens.completion);
+  }
+}
+
+// Contact requests and job applications from the chat (see leads.js)
+const leadStore = new FileLeadStore();
+
+// The API key that owns the sessions a request starts (null for the web interface)
+function sessionOwner(req) {
+  return req.apiKey?.id ?? null;
+}
+
+// Reuse the client's session id if it's one we issued and it isn't another
+// caller's session, otherwise start a new one
+async function resolveSessionId(req, sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    return createSessionId();
+  }
+  const owner = await sessionStore.getOwner(sessionId);
+  return owner === undefined || owner === sessionOwner(req) ? sessionId : createSessionId();
+}
+
+// Accept a supported language code, "auto" or nothing (auto-detect)
+function isValidLanguageParam(lang) {
+  return lang === undefined || lang === "" || lang === "auto" || isSupportedLanguage(lang);
+}
+
+const INVALID_LANGUAGE_MESSAGE = `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(", ")}, auto`;
+
+// Accept a registered agent mode or nothing (the configured default)
+function isValidModeParam(mode) {
+  return mode === undefined || mode === "" || isAgentMode(mode);
+}
+
+const INVALID_MODE_MESSAGE = `Unknown agent mode. Use one of: ${AGENT_MODES.join(", ")}`;
+
+// The request's lang and mode, falling back to the API key's defaults
+function withKeyDefaults(req, { lang, mode }) {
+  const given = (value) => value !== undefined && value !== "";
+  return {
+    lang: given(lang) ? lang : req.apiKey?.lang,
+    mode: given(mode) ? mode : req.apiKey?.mode,
+  };
+}
+
+const INVALID_FORMAT_MESSAGE = `Unknown answer format. Use one of: ${ANSWER_FORMATS.join(", ")}`;
+
+// `format` picks how the answer is returned: "markdown" (the default, as the
+// model wrote it), "html" (rendered and sanitized) or "text"
+function isValidFormatParam(format) {
+  return format === undefined || format === "" || ANSWER_FORMATS.includes(format);
+}
+
+// `debug` (true, "true" or "1") adds the retrieval pipeline's intermediate
+// results to the response and skips the answer cache, so they are fresh
+function isDebugRequested(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+// POST /ask, GET /ask/stream and POST /contact-request need no API key because
+// they are the bundled web interface's routes: browsers calling them from
+// another site are refused (other sites use the API with a key), the rest is
+// limited per IP
+function isCrossSiteRequest(req) {
+  if (req.get("Sec-Fetch-Site") === "cross-site") {
+    return true;
+  }
+  const origin = req.get("Origin");
+  if (!origin) {
+    return false;
+  }
+  try {
+    return new URL(origin).host !== req.host;
+  } catch {
+    return true;
+  }
+}
+
+const CROSS_SITE_MESSAGE = "This endpoint is for the web interface. Other sites can use the /api routes with an API key.";
+
+function webInterfaceOnly(format) {
+  return (req, res, next) => {
+    if (!isCrossSiteRequest(req)) {
+      return next();
+    }
+    if (format === "html") {
+      return res.status(403).send(`
+        <div class="error-message" role="alert">
+          <strong>Forbidden:</strong> ${escapeHtml(CROSS_SITE_MESSAGE)}
+        </div>
+      `);
+    }
+    return res.status(403).json({ error: "Forbidden", message: CROSS_SITE_MESSAGE });
+  };
+}
+
+const QUESTION_TOO_LONG_MESSAGE = `Questions can be at most ${MAX_QUESTION_LENGTH} characters long`;
+
+// What the agent used for an answer, for the request's log entry
+function recordAnswerFields({ sources = [], toolCalls, cached }) {
+  setRequestFields({
+    cached: Boolean(cached),
+    documents: sources.map((source) => source.id),
+    ...(toolCalls && { tools: toolCalls.map((call) => call.name) }),
+  });
+}
 
 // Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", message: "FAQ Agent API is running" });
+app.get("/health", async (req, res) => {
+  const knowledgeBase = getKnowledgeBaseStatus();
+  const vectorIndex = getIndexStatus();
+
+  // Still answering, but from an older knowledge base or index
+  const degraded = knowledgeBase.lastError || vectorIndex.lastSyncError;
+
+  res.json({
+    status: degraded ? "degraded" : "ok",
+    message: degraded
+      ? "FAQ Agent API is running on a previous version of the knowledge base"
+      : "FAQ Agent API is running",
+    llm: getProviderInfo(),
+    agent: getStrategyInfo(),
+    vectorIndex,
+    knowledgeBase,
+    rateLimits: { ...(await rateLimiter.getStatus()), maxQuestionLength: MAX_QUESTION_LENGTH },
+    apiKeys: getApiKeyStatus(),
+    answerCache: answerCache.getStats(),
+    guardrails: getGuardrailSettings(),
+    retrieval: getPipelineSettings(),
+  });
 });
 
 // Main API endpoint for asking questions
-app.post("/api/ask", async (req, res) => {
+app.post("/api/ask", rateLimiter.limitRequests("json"), async (req, res) => {
   try {
     const { question } = req.body;
+    const { lang: requestedLang, mode: requestedMode } = withKeyDefaults(req, req.body);
+    const sessionId = await resolveSessionId(req, req.body.sessionId);
 
     if (!question || typeof question !== "string" || question.trim().length === 0) {
       return res.status(400).json({
@@ -40,15 +298,70 @@ app.post("/api/ask", async (req, res) => {
       });
     }
 
-    // Call the agent
-    const answer = await runFAQAgent(question.trim());
+    if (question.trim().length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: QUESTION_TOO_LONG_MESSAGE,
+      });
+    }
+
+    if (!isValidLanguageParam(requestedLang)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_LANGUAGE_MESSAGE,
+        example: { question: "Vilka jobbar på företaget?", lang: "sv" },
+      });
+    }
+
+    if (!isValidModeParam(requestedMode)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_MODE_MESSAGE,
+        example: { question: "What is the company's mission?", mode: "hybrid" },
+      });
+    }
+
+    if (!isValidFormatParam(req.body.format)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_FORMAT_MESSAGE,
+        example: { question: "What is the company's mission?", format: "html" },
+      });
+    }
+
+    const lang = resolveLanguage(requestedLang, question.trim());
+    const strategy = getAgentStrategy(requestedMode);
+    const format = req.body.format || "markdown";
+    const debug = isDebugRequested(req.body.debug);
+    setRequestFields({ mode: strategy.name, lang, sessionId, question: question.trim() });
+
+    // Call the agent with the conversation so far
+    const { answer, sources, toolCalls, cached, refused } = await runConversationTurn(
+      debug ? strategy.run : answerCache.wrapRun(strategy.run, strategy.name),
+      sessionStore,
+      sessionId,
+      question.trim(),
+      { lang, owner: sessionOwner(req) }
+    );
+    recordAnswerFields({ sources, toolCalls, cached });
+    const handoff = suggestHandoff(question.trim(), { refused }, lang);
 
     res.json({
       question: question.trim(),
-      answer: answer,
+      answer: formatAnswer(answer, format),
+      format,
+      sources,
+      lang,
+      mode: strategy.name,
+      sessionId,
+      cached: Boolean(cached),
+      ...(refused && { refused }),
+      ...(handoff && { handoff }),
+      ...(toolCalls && { toolCalls }),
+      ...(debug && { debug: getDebugInfo() || {} }),
     });
   } catch (error) {
-    console.error("Error processing question:", error);
+    recordRequestError(error);
     res.status(500).json({
       error: "Internal server error",
       message: error.message || "An error occurred while processing your question",
@@ -57,9 +370,11 @@ app.post("/api/ask", async (req, res) => {
 });
 
 // GET endpoint for simple queries (optional, for convenience)
-app.get("/api/ask", async (req, res) => {
+app.get("/api/ask", rateLimiter.limitRequests("json"), async (req, res) => {
   try {
     const { q } = req.query;
+    const { lang: requestedLang, mode: requestedMode } = withKeyDefaults(req, req.query);
+    const sessionId = await resolveSessionId(req, req.query.sessionId);
 
     if (!q || typeof q !== "string" || q.trim().length === 0) {
       return res.status(400).json({
@@ -69,15 +384,70 @@ app.get("/api/ask", async (req, res) => {
       });
     }
 
-    // Call the agent
-    const answer = await runFAQAgent(q.trim());
+    if (q.trim().length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: QUESTION_TOO_LONG_MESSAGE,
+      });
+    }
+
+    if (!isValidLanguageParam(requestedLang)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_LANGUAGE_MESSAGE,
+        example: "/api/ask?q=Vilka jobbar på företaget?&lang=sv",
+      });
+    }
+
+    if (!isValidModeParam(requestedMode)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_MODE_MESSAGE,
+        example: "/api/ask?q=What is the company's mission?&mode=hybrid",
+      });
+    }
+
+    if (!isValidFormatParam(req.query.format)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: INVALID_FORMAT_MESSAGE,
+        example: "/api/ask?q=What is the company's mission?&format=html",
+      });
+    }
+
+    const lang = resolveLanguage(requestedLang, q.trim());
+    const strategy = getAgentStrategy(requestedMode);
+    const format = req.query.format || "markdown";
+    const debug = isDebugRequested(req.query.debug);
+    setRequestFields({ mode: strategy.name, lang, sessionId, question: q.trim() });
+
+    // Call the agent with the conversation so far
+    const { answer, sources, toolCalls, cached, refused } = await runConversationTurn(
+      debug ? strategy.run : answerCache.wrapRun(strategy.run, strategy.name),
+      sessionStore,
+      sessionId,
+      q.trim(),
+      { lang, owner: sessionOwner(req) }
+    );
+    recordAnswerFields({ sources, toolCalls, cached });
+    const handoff = suggestHandoff(q.trim(), { refused }, lang);
 
     res.json({
       question: q.trim(),
-      answer: answer,
+      answer: formatAnswer(answer, format),
+      format,
+      sources,
+      lang,
+      mode: strategy.name,
+      sessionId,
+      cached: Boolean(cached),
+      ...(refused && { refused }),
+      ...(handoff && { handoff }),
+      ...(toolCalls && { toolCalls }),
+      ...(debug && { debug: getDebugInfo() || {} }),
     });
   } catch (error) {
-    console.error("Error processing question:", error);
+    recordRequestError(error);
     res.status(500).json({
       error: "Internal server error",
       message: error.message || "An error occurred while processing your question",
@@ -85,10 +455,140 @@ app.get("/api/ask", async (req, res) => {
   }
 });
 
+// Streaming endpoint - emits the answer as Server-Sent Events
+// Events: "meta" ({ sessionId, lang, mode }), "sources" ({ sources }), "token" ({ text }),
+// "tool" ({ call }, tool-calling agent only), "replace" ({ text }, the guardrails withdrew the
+// answer streamed so far), "done" ({ answer, cached, refused?, handoff?, debug? }), "error" ({ message }).
+// Tokens are always Markdown; `format` applies to the complete answer in "done".
+async function streamAnswer(req, res) {
+  const { q } = req.query;
+  const { lang: requestedLang, mode: requestedMode } = withKeyDefaults(req, req.query);
+
+  if (!q || typeof q !== "string" || q.trim().length === 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "Please provide a question using the 'q' query parameter",
+      example: "/api/ask/stream?q=What is the company's mission?",
+    });
+  }
+
+  if (q.trim().length > MAX_QUESTION_LENGTH) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: QUESTION_TOO_LONG_MESSAGE,
+    });
+  }
+
+  if (!isValidLanguageParam(requestedLang)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: INVALID_LANGUAGE_MESSAGE,
+      example: "/api/ask/stream?q=Vilka jobbar på företaget?&lang=sv",
+    });
+  }
+
+  if (!isValidModeParam(requestedMode)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: INVALID_MODE_MESSAGE,
+      example: "/api/ask/stream?q=What is the company's mission?&mode=hybrid",
+    });
+  }
+
+  if (!isValidFormatParam(req.query.format)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: INVALID_FORMAT_MESSAGE,
+      example: "/api/ask/stream?q=What is the company's mission?&format=html",
+    });
+  }
+
+  const question = q.trim();
+  const sessionId = await resolveSessionId(req, req.query.sessionId);
+  const lang = resolveLanguage(requestedLang, question);
+  const strategy = getAgentStrategy(requestedMode);
+  const format = req.query.format || "markdown";
+  const debug = isDebugRequested(req.query.debug);
+  setRequestFields({ mode: strategy.name, lang, sessionId, question });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  // Stop generating (and don't record the turn) if the client goes away
+  let clientGone = false;
+  res.on("close", () => {
+    clientGone = !res.writableEnded;
+  });
+
+  sendEvent(res, "meta", { sessionId, lang, mode: strategy.name });
+
+  try {
+    let answer = "";
+    let sources = [];
+    let toolCalls;
+    let cached = false;
+    let refused = null;
+    for await (const event of streamConversationTurn(
+      debug ? strategy.stream : answerCache.wrapStream(strategy.stream, strategy.name),
+      sessionStore,
+      sessionId,
+      question,
+      { lang, owner: sessionOwner(req) }
+    )) {
+      if (clientGone) {
+        setRequestFields({ aborted: true });
+        return;
+      }
+      cached = cached || Boolean(event.cached);
+      refused = refused || event.refused || null;
+      if (event.type === "sources") {
+        sources = event.sources;
+        setRequestFields({ documents: sources.map((source) => source.id) });
+        sendEvent(res, "sources", { sources });
+      } else if (event.type === "tool") {
+        toolCalls = [...(toolCalls || []), event.call];
+        sendEvent(res, "tool", { call: event.call });
+      } else if (event.type === "replace") {
+        answer = event.text;
+        sendEvent(res, "replace", { text: event.text });
+      } else {
+        answer += event.text;
+        sendEvent(res, "token", { text: event.text });
+      }
+    }
+
+    recordAnswerFields({ sources, toolCalls, cached });
+    const handoff = suggestHandoff(question, { refused }, lang);
+    sendEvent(res, "done", {
+      answer: formatAnswer(answer, format),
+      cached,
+      ...(refused && { refused }),
+      ...(handoff && { handoff }),
+      ...(debug && { debug: getDebugInfo() || {} }),
+    });
+  } catch (error) {
+    recordRequestError(error);
+    sendEvent(res, "error", {
+      message: error.message || "An error occurred while processing your question",
+    });
+  }
+
+  res.end();
+}
+
+app.get("/api/ask/stream", rateLimiter.limitRequests("json"), streamAnswer);
+
+// Same stream without an API key, for the web interface's answer bubbles
+app.get("/ask/stream", webInterfaceOnly("json"), rateLimiter.limitRequests("json"), streamAnswer);
+
 // HTMX endpoint - returns HTML fragment
-app.post("/ask", async (req, res) => {
+app.post("/ask", webInterfaceOnly("html"), rateLimiter.limitRequests("html"), async (req, res) => {
   try {
     const question = req.body.question?.trim();
+    const sessionId = await resolveSessionId(req, req.body.sessionId);
 
     if (!question || question.length === 0) {
       return res.status(400).send(`
@@ -98,22 +598,82 @@ app.post("/ask", async (req, res) => {
       `);
     }
 
-    // Call the agent
-    const answer = await runFAQAgent(question);
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).send(`
+        <div class="error-message" role="alert">
+          <strong>Error:</strong> ${escapeHtml(QUESTION_TOO_LONG_MESSAGE)}
+        </div>
+      `);
+    }
 
-    // Return HTML fragment that HTMX will swap in
+    if (!isValidLanguageParam(req.body.lang)) {
+      return res.status(400).send(`
+        <div class="error-message" role="alert">
+          <strong>Error:</strong> ${escapeHtml(INVALID_LANGUAGE_MESSAGE)}
+        </div>
+      `);
+    }
+
+    if (!isValidModeParam(req.body.mode)) {
+      return res.status(400).send(`
+        <div class="error-message" role="alert">
+          <strong>Error:</strong> ${escapeHtml(INVALID_MODE_MESSAGE)}
+        </div>
+      `);
+    }
+
+    const lang = resolveLanguage(req.body.lang, question);
+    const strategy = getAgentStrategy(req.body.mode);
+
+    // Streaming UI: return an empty answer bubble that the page fills in
+    // from /api/ask/stream instead of waiting for the whole answer here
+    if (req.body.stream) {
+      const streamUrl = `/ask/stream?${new URLSearchParams({ q: question, lang, mode: strategy.name, sessionId, format: "html" })}`;
+      return res.send(`
+      <input type="hidden" id="session-id" name="sessionId" value="${escapeHtml(sessionId)}" hx-swap-oob="true" />
+      <div class="message-pair">
+        <div class="user-question">
+          <strong>You asked:</strong> ${escapeHtml(question)}
+        </div>
+        <div class="bot-answer" lang="${lang}" data-stream-url="${escapeHtml(streamUrl)}">
+          <strong>Answer:</strong> <div class="answer-text"></div>
+        </div>
+      </div>
+    `);
+    }
+
+    // The placeholder above isn't a question for the logs and metrics; this is
+    setRequestFields({ mode: strategy.name, lang, sessionId, question });
+
+    // Call the agent with the conversation so far
+    const { answer, sources, toolCalls, cached, refused } = await runConversationTurn(
+      answerCache.wrapRun(strategy.run, strategy.name),
+      sessionStore,
+      sessionId,
+      question,
+      { lang, owner: sessionOwner(req) }
+    );
+    recordAnswerFields({ sources, toolCalls, cached });
+    const handoff = suggestHandoff(question, { refused }, lang);
+
+    // Return HTML fragment that HTMX will swap in, plus an out-of-band
+    // update of the form's session field so the next question continues
     res.send(`
+      <input type="hidden" id="session-id" name="sessionId" value="${escapeHtml(sessionId)}" hx-swap-oob="true" />
       <div class="message-pair">
         <div class="user-question">
           <strong>You asked:</strong> ${escapeHtml(question)}
         </div>
-        <div class="bot-answer">
-          <strong>Answer:</strong> ${escapeHtml(answer)}
+        <div class="bot-answer" lang="${lang}">
+          <strong>Answer:</strong> <div class="answer-text">${renderMarkdown(answer)}</div>
+          ${renderSources(sources)}
+          ${renderToolCalls(toolCalls)}
+          ${renderHandoffOffer(handoff, { lang, sessionId })}
         </div>
       </div>
     `);
   } catch (error) {
-    console.error("Error processing question:", error);
+    recordRequestError(error);
     res.status(500).send(`
       <div class="error-message" role="alert">
         <strong>Error:</strong> ${escapeHtml(error.message || "An error occurred while processing your question")}
@@ -122,26 +682,264 @@ app.post("/ask", async (req, res) => {
   }
 });
 
-// Helper function to escape HTML (server-side)
-function escapeHtml(text) {
-  if (typeof text !== 'string') {
-    text = String(text);
+// Store a contact request or job application with the conversation it came from
+async function createLead(req, body, { lang, source }) {
+  const fields = validateContactRequest(body, { lang });
+  // Only the caller's own conversation goes into the lead
+  const ownSession =
+    isValidSessionId(body.sessionId) && (await sessionStore.getOwner(body.sessionId)) === sessionOwner(req);
+  const sessionId = isValidSessionId(body.sessionId) ? body.sessionId : null;
+
+  const lead = await leadStore.add({
+    ...fields,
+    lang,
+    sessionId,
+    transcript: ownSession ? await sessionStore.get(body.sessionId) : [],
+    source,
+    ...(req.apiKey && { apiKey: req.apiKey.id }),
+  });
+
+  leadsCreated.inc({ type: lead.type });
+  setRequestFields({ lead: { id: lead.id, type: lead.type } });
+  return lead;
+}
+
+// Leave contact details (or apply for an open role) for a person to follow up
+app.post("/api/contact-request", rateLimiter.limitRequests("json"), async (req, res) => {
+  const { lang: requestedLang } = withKeyDefaults(req, req.body);
+  if (!isValidLanguageParam(requestedLang)) {
+    return res.status(400).json({ error: "Invalid request", message: INVALID_LANGUAGE_MESSAGE });
+  }
+
+  try {
+    const lang = resolveLanguage(requestedLang, String(req.body.message || ""));
+    const lead = await createLead(req, req.body, { lang, source: "api" });
+    res.status(201).json({ id: lead.id, type: lead.type, createdAt: lead.createdAt });
+  } catch (error) {
+    if (error instanceof LeadValidationError) {
+      return res.status(400).json({ error: "Invalid request", message: error.message, errors: error.errors });
+    }
+    recordRequestError(error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message || "An error occurred while saving your request",
+    });
+  }
+});
+
+// HTMX: the contact form offered under an answer (see renderHandoffOffer)
+app.get("/contact-request/form", (req, res) => {
+  res.send(
+    renderContactForm({
+      type: req.query.type === "application" ? "application" : "contact",
+      lang: isSupportedLanguage(req.query.lang) ? req.query.lang : DEFAULT_LANGUAGE,
+      sessionId: isValidSessionId(req.query.sessionId) ? req.query.sessionId : "",
+      role: req.query.role,
+    })
+  );
+});
+
+// HTMX: submit the contact form; answers with a thank-you or the form with errors
+app.post("/contact-request", webInterfaceOnly("html"), rateLimiter.limitRequests("html"), async (req, res) => {
+  const lang = isSupportedLanguage(req.body.lang) ? req.body.lang : DEFAULT_LANGUAGE;
+  try {
+    const lead = await createLead(req, req.body, { lang, source: "chat" });
+    res.send(`
+          <div class="handoff-done" role="status">
+            Thanks, ${escapeHtml(lead.name)}! We'll get back to you at ${escapeHtml(lead.email)}.
+          </div>`);
+  } catch (error) {
+    if (error instanceof LeadValidationError) {
+      return res.status(400).send(renderContactForm({ ...req.body, lang, errors: error.errors }));
+    }
+    recordRequestError(error);
+    res.status(500).send(`
+      <div class="error-message" role="alert">
+        <strong>Error:</strong> ${escapeHtml(error.message || "An error occurred while saving your request")}
+      </div>
+    `);
+  }
+});
+
+// Forget a conversation started with the calling key
+app.delete("/api/session/:sessionId", async (req, res) => {
+  const owner = await sessionStore.getOwner(req.params.sessionId);
+  if (owner !== undefined && owner !== sessionOwner(req)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "This conversation was started with another API key",
+    });
+  }
+  await sessionStore.delete(req.params.sessionId);
+  res.status(204).end();
+});
+
+// The calling key's settings and usage counters
+app.get("/api/usage", (req, res) => {
+  res.json({ key: req.apiKey });
+});
+
+// Prometheus metrics: latency histograms and error counts per endpoint and agent mode
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Admin page and API for maintaining faq.json (see admin.js)
+app.get("/admin", (req, res) => {
+  res.sendFile(join(__dirname, "admin.html"));
+});
+app.use("/admin", createAdminRouter({ leadStore }));
+
+// Collapsible list of the sources cited as [n] in the answer
+function renderSources(sources) {
+  if (!sources || sources.length === 0) {
+    return "";
+  }
+  return `
+          <details class="sources">
+            <summary>Sources (${sources.length})</summary>
+            <ol>
+              ${sources
+                .map(
+                  (source) => `<li value="${source.n}">
+                <span class="source-type">${escapeHtml(source.type)}</span>
+                ${escapeHtml(source.snippet)}
+              </li>`
+                )
+                .join("\n              ")}
+            </ol>
+          </details>`;
+}
+
+// Collapsible list of the tools the tool-calling agent used for the answer
+function renderToolCalls(toolCalls) {
+  if (!toolCalls || toolCalls.length === 0) {
+    return "";
+  }
+  return `
+          <details class="sources">
+            <summary>Tools used (${toolCalls.length})</summary>
+            <ol>
+              ${toolCalls
+                .map(
+                  (call) => `<li>
+                <span class="source-type">${escapeHtml(call.name)}</span>
+                ${escapeHtml(JSON.stringify(call.args))}
+              </li>`
+                )
+                .join("\n              ")}
+            </ol>
+          </details>`;
+}
+
+// Buttons under an answer that open the contact form (or an application for an open role)
+function renderHandoffOffer(handoff, { lang, sessionId }) {
+  if (!handoff) {
+    return "";
   }
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+  const formUrl = (params) =>
+    escapeHtml(`/contact-request/form?${new URLSearchParams({ lang, sessionId, ...params })}`);
+  const buttons =
+    handoff.type === "application"
+      ? handoff.roles.map(
+          (role) =>
+            `<button type="button" hx-get="${formUrl({ type: "application", role })}" hx-target="closest .handoff">Apply for ${escapeHtml(role)}</button>`
+        )
+      : [`<button type="button" hx-get="${formUrl({ type: "contact" })}" hx-target="closest .handoff">Talk to a person</button>`];
+  return `
+          <div class="handoff">
+            ${buttons.join("\n            ")}
+          </div>`;
+}
+
+// Contact or application form; values and errors are filled in when re-rendered after a 400
+function renderContactForm({ type, lang, sessionId = "", role, name = "", email = "", message = "", errors = {} }) {
+  const roles = getFaqData()[lang].careers?.openRoles || [];
+  const error = (field) =>
+    errors[field] ? `<span class="field-error">${escapeHtml(errors[field])}</span>` : "";
+
+  return `
+          <form class="handoff-form" hx-post="/contact-request" hx-swap="outerHTML">
+            <input type="hidden" name="type" value="${escapeHtml(type)}" />
+            <input type="hidden" name="lang" value="${escapeHtml(lang)}" />
+            <input type="hidden" name="sessionId" value="${escapeHtml(sessionId)}" />
+            <p>${
+              type === "application"
+                ? "Tell us a little about yourself and we'll be in touch."
+                : "Leave your details and someone from the team will get back to you."
+            } Your conversation so far is included.</p>
+            ${
+              type === "application"
+                ? `<label>Role
+              <select name="role">
+                ${roles
+                  .map((r) => `<option${r === role ? " selected" : ""}>${escapeHtml(r)}</option>`)
+                  .join("")}
+              </select>
+            </label>${error("role")}`
+                : ""
+            }
+            <label>Name <input type="text" name="name" value="${escapeHtml(name)}" maxlength="200" required /></label>${error("name")}
+            <label>Email <input type="email" name="email" value="${escapeHtml(email)}" maxlength="254" required /></label>${error("email")}
+            <label>Message <textarea name="message" rows="3" maxlength="5000">${escapeHtml(message)}</textarea></label>${error("message")}
+            <button type="submit">Send</button>
+          </form>`;
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 // Start server
+// Fail fast on a misconfigured provider instead of on the first question
+const llmInfo = getProviderInfo();
+const strategyInfo = getStrategyInfo();
+
+if (!isAgentMode(strategyInfo.mode)) {
+  console.error(`❌ Unknown AGENT_MODE "${strategyInfo.mode}". Use one of: ${AGENT_MODES.join(", ")}`);
+  process.exit(1);
+}
+
+// Refuse to start on an invalid knowledge base instead of failing every question
+try {
+  getFaqData();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error("Fix the knowledge base (check it with: npm run validate) and restart.");
+  process.exit(1);
+}
+
+// Pick up edits to faq.json without a restart
+if (process.env.FAQ_WATCH !== "false") {
+  watchFaqFile();
+}
+
+// Save the latest API key usage counters before stopping
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.on(signal, () => {
+    flushUsage();
+    process.exit(0);
+  })
+);
+
 app.listen(PORT, () => {
   console.log(`🚀 FAQ Agent API server running on http://localhost:${PORT}`);
+  console.log(`🤖 LLM provider: ${llmInfo.provider} (model: ${llmInfo.model})`);
+  console.log(`🔎 Agent mode: ${strategyInfo.mode} - ${strategyInfo.description}`);
+  const { file, watching } = getKnowledgeBaseStatus();
+  console.log(`📂 Knowledge base: ${file} (${watching ? "reloaded on change" : "FAQ_WATCH=false, restart to reload"})`);
   console.log(`🌐 Open http://localhost:${PORT} in your browser to use the HTMX interface`);
+  console.log(`🔑 API keys: ${getApiKeyStatus().activeKeys} active (create one with: npm run keys -- create "<name>")`);
   console.log(`📝 POST /api/ask - Ask a question (JSON body)`);
   console.log(`📝 POST /ask - HTMX endpoint (form data)`);
   console.log(`📝 GET  /api/ask?q=question - Ask a question (query param)`);
+  console.log(`📡 GET  /api/ask/stream?q=question - Stream the answer (Server-Sent Events)`);
+  console.log(`📨 POST /api/contact-request - Leave contact details or apply for an open role`);
+  console.log(`🗑️  DELETE /api/session/:sessionId - Forget a conversation`);
+  console.log(`📊 GET  /api/usage - Usage counters for the calling API key`);
+  console.log(`🛠️  GET  /admin - Admin page (${process.env.ADMIN_TOKEN ? "enabled" : "disabled, set ADMIN_TOKEN"})`);
   console.log(`❤️  GET  /health - Health check`);
+  console.log(`📈 GET  /metrics - Prometheus metrics`);
 });
 
@@ -0,0 +1,186 @@
+/**
+ * Conversation Sessions
+ *
+ * Keeps per-session message history so follow-up questions ("what does he
+ * work on?") have context. The store is pluggable: anything implementing
+ * get/getOwner/append/delete (async) can replace InMemorySessionStore, e.g. Redis.
+ *
+ * Each session has an owner, the API key that started it (null for the web
+ * interface and the CLI), so one key can't continue or delete another's.
+ */
+
+import { randomUUID } from "crypto";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+// Rough budget for history sent to the model (excluding the system prompt)
+const DEFAULT_HISTORY_TOKENS = Number(process.env.SESSION_HISTORY_TOKENS) || 1000;
+const DEFAULT_TTL_MINUTES = Number(process.env.SESSION_TTL_MINUTES) || 30;
+
+/**
+ * In-memory session store. Sessions expire after a period of inactivity.
+ *
+ * Store interface:
+ * - get(sessionId) -> Promise<Array<{ role, content }>>
+ * - getOwner(sessionId) -> Promise<string | null | undefined> (undefined: no such session)
+ * - append(sessionId, messages, { owner }) -> Promise<void> (the owner is set by the first append)
+ * - delete(sessionId) -> Promise<void>
+ */
+class InMemorySessionStore {
+  constructor({ ttlMinutes = DEFAULT_TTL_MINUTES } = {}) {
+    this.ttlMs = ttlMinutes * 60 * 1000;
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    this.pruneExpired();
+    const session = this.sessions.get(sessionId);
+    return session ? [...session.messages] : [];
+  }
+
+  async getOwner(sessionId) {
+    this.pruneExpired();
+    return this.sessions.get(sessionId)?.owner;
+  }
+
+  async append(sessionId, messages, { owner = null } = {}) {
+    const session = this.sessions.get(sessionId) || { owner, messages: [] };
+    session.messages.push(...messages);
+    session.lastAccess = Date.now();
+    this.sessions.set(sessionId, session);
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastAccess > this.ttlMs) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+/**
+ * Issue a new session id
+ */
+function createSessionId() {
+  return randomUUID();
+}
+
+/**
+ * Only accept ids we could have issued; anything else gets a fresh session
+ */
+function isValidSessionId(sessionId) {
+  return (
+    typeof sessionId === "string" &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId)
+  );
+}
+
+/**
+ * Approximate token count (~4 characters per token for English text)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Keep the most recent messages that fit within the token budget.
+ * Older messages are dropped first; the order of kept messages is preserved.
+ */
+function trimHistory(messages, maxTokens = DEFAULT_HISTORY_TOKENS) {
+  const trimmed = [];
+  let total = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (total + tokens > maxTokens) {
+      break;
+    }
+    total += tokens;
+    trimmed.unshift(messages[i]);
+  }
+
+  // Never start the history with an orphaned assistant reply
+  while (trimmed.length > 0 && trimmed[0].role !== "user") {
+    trimmed.shift();
+  }
+
+  return trimmed;
+}
+
+/**
+ * Prefix the previous user question so follow-ups ("what does he do?")
+ * still retrieve the documents the conversation is about
+ */
+function buildRetrievalQuery(question, history) {
+  const previousQuestion = history.filter((m) => m.role === "user").at(-1);
+  return previousQuestion ? `${previousQuestion.content} ${question}` : question;
+}
+
+/**
+ * Run one conversation turn: load trimmed history, ask the agent,
+ * and record the exchange in the store. Returns the agent's result
+ * ({ answer, sources }). `owner` is recorded for a new session; the other
+ * options are passed to the agent.
+ */
+async function runConversationTurn(runAgent, store, sessionId, question, { owner, ...options } = {}) {
+  const history = trimHistory(await store.get(sessionId));
+
+  const result = await runAgent(question, { ...options, history });
+
+  await store.append(
+    sessionId,
+    [
+      { role: "user", content: question },
+      { role: "assistant", content: result.answer },
+    ],
+    { owner }
+  );
+
+  return result;
+}
+
+/**
+ * Streaming variant of runConversationTurn: passes the agent's stream
+ * events through and records the exchange once the stream completes.
+ * An abandoned stream (client disconnected) leaves the history untouched.
+ */
+async function* streamConversationTurn(streamAgent, store, sessionId, question, { owner, ...options } = {}) {
+  const history = trimHistory(await store.get(sessionId));
+
+  let answer = "";
+  for await (const event of streamAgent(question, { ...options, history })) {
+    if (event.type === "token") {
+      answer += event.text;
+    } else if (event.type === "replace") {
+      answer = event.text;
+    }
+    yield event;
+  }
+
+  await store.append(
+    sessionId,
+    [
+      { role: "user", content: question },
+      { role: "assistant", content: answer },
+    ],
+    { owner }
+  );
+}
+
+export {
+  InMemorySessionStore,
+  createSessionId,
+  isValidSessionId,
+  estimateTokens,
+  trimHistory,
+  buildRetrievalQuery,
+  runConversationTurn,
+  streamConversationTurn,
+};
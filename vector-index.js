@@ -0,0 +1,215 @@
+/**
+ * Persistent Vector Index
+ *
+ * A file-backed vector store: embeddings are saved to disk together with a
+ * content hash per document, reloaded at startup, and only new or changed
+ * documents are re-embedded when the knowledge base changes.
+ *
+ * Drop-in for MemoryVectorStore (same VectorStore interface, including
+ * similaritySearch with a filter function), plus sync() and status().
+ */
+
+import { VectorStore } from "@langchain/core/vectorstores";
+import { Document } from "@langchain/core/documents";
+import { cosineSimilarity } from "@langchain/core/utils/math";
+import { createHash } from "crypto";
+import * as fs from "fs";
+import { logger } from "./logger.js";
+import * as dotenv from "dotenv";
+
+dotenv.config();
+
+const DEFAULT_INDEX_FILE = process.env.VECTOR_INDEX_FILE || "vector-index.json";
+const INDEX_VERSION = 1;
+
+/**
+ * Hash of everything that affects a document's embedding or its search result
+ */
+function hashDocument(doc) {
+  return createHash("sha256")
+    .update(doc.pageContent)
+    .update(JSON.stringify(doc.metadata))
+    .digest("hex");
+}
+
+/**
+ * Name of the embedding model, so switching models forces a rebuild
+ */
+function embeddingModelName(embeddings) {
+  return embeddings.model || embeddings.modelName || embeddings.constructor.name;
+}
+
+class FileVectorStore extends VectorStore {
+  constructor(embeddings, { file = DEFAULT_INDEX_FILE } = {}) {
+    super(embeddings, {});
+    this.file = file;
+    this.model = embeddingModelName(embeddings);
+    // id -> { id, hash, pageContent, metadata, embedding }
+    this.entries = new Map();
+    this.updatedAt = null;
+    this.lastSync = null;
+  }
+
+  _vectorstoreType() {
+    return "file";
+  }
+
+  /**
+   * Open the index file (if any). Entries built with a different embedding
+   * model are discarded so they get re-embedded on the next sync.
+   */
+  static async load(embeddings, options = {}) {
+    const store = new FileVectorStore(embeddings, options);
+
+    if (fs.existsSync(store.file)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(store.file, "utf8"));
+        if (saved.version === INDEX_VERSION && saved.model === store.model) {
+          saved.documents.forEach((entry) => store.entries.set(entry.id, entry));
+          store.updatedAt = saved.updatedAt;
+        }
+      } catch (error) {
+        logger.warn("Ignoring unreadable vector index", { file: store.file, error: error.message });
+      }
+    }
+
+    return store;
+  }
+
+  static async fromDocuments(docs, embeddings, options = {}) {
+    const store = await FileVectorStore.load(embeddings, options);
+    await store.sync(docs);
+    return store;
+  }
+
+  /**
+   * Bring the index in line with the given documents (each needs metadata.id).
+   * Only new or changed documents are embedded; removed ones are dropped.
+   * Pass { force: true } to re-embed everything.
+   *
+   * The new entries are built on the side and swapped in once every
+   * embedding is done, so searches running meanwhile see the old index.
+   */
+  async sync(documents, { force = false } = {}) {
+    const stats = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const wanted = new Map(documents.map((doc) => [doc.metadata.id, doc]));
+    const next = new Map();
+
+    for (const id of this.entries.keys()) {
+      if (!wanted.has(id)) {
+        stats.removed += 1;
+      }
+    }
+
+    const toEmbed = [];
+    for (const [id, doc] of wanted) {
+      const hash = hashDocument(doc);
+      const existing = this.entries.get(id);
+      if (!force && existing && existing.hash === hash) {
+        next.set(id, existing);
+        stats.unchanged += 1;
+        continue;
+      }
+      stats[existing ? "updated" : "added"] += 1;
+      toEmbed.push({ id, hash, doc });
+    }
+
+    if (toEmbed.length > 0) {
+      const vectors = await this.embeddings.embedDocuments(
+        toEmbed.map(({ doc }) => doc.pageContent)
+      );
+      toEmbed.forEach(({ id, hash, doc }, i) => {
+        next.set(id, {
+          id,
+          hash,
+          pageContent: doc.pageContent,
+          metadata: doc.metadata,
+          embedding: vectors[i],
+        });
+      });
+    }
+
+    this.entries = next;
+    if (toEmbed.length > 0 || stats.removed > 0) {
+      this.save();
+    }
+
+    this.lastSync = { at: new Date().toISOString(), ...stats };
+    return stats;
+  }
+
+  /**
+   * Write the index atomically (temp file + rename)
+   */
+  save() {
+    this.updatedAt = new Date().toISOString();
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(
+      tmpFile,
+      JSON.stringify({
+        version: INDEX_VERSION,
+        model: this.model,
+        updatedAt: this.updatedAt,
+        documents: [...this.entries.values()],
+      })
+    );
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  async addVectors(vectors, documents) {
+    documents.forEach((doc, i) => {
+      const id = doc.metadata.id ?? `doc-${this.entries.size + 1}`;
+      this.entries.set(id, {
+        id,
+        hash: hashDocument(doc),
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, id },
+        embedding: vectors[i],
+      });
+    });
+    this.save();
+  }
+
+  async addDocuments(documents) {
+    const vectors = await this.embeddings.embedDocuments(
+      documents.map((doc) => doc.pageContent)
+    );
+    return this.addVectors(vectors, documents);
+  }
+
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const candidates = [...this.entries.values()]
+      .map(
+        (entry) =>
+          new Document({ id: entry.id, pageContent: entry.pageContent, metadata: entry.metadata })
+      )
+      .filter((doc) => (typeof filter === "function" ? filter(doc) : true));
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const vectors = candidates.map((doc) => this.entries.get(doc.metadata.id).embedding);
+    const scores = cosineSimilarity([query], vectors)[0];
+
+    return candidates
+      .map((doc, i) => [doc, scores[i]])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k);
+  }
+
+  /**
+   * Index summary for /health and the reindex command
+   */
+  status() {
+    return {
+      file: this.file,
+      model: this.model,
+      documents: this.entries.size,
+      updatedAt: this.updatedAt,
+      lastSync: this.lastSync,
+    };
+  }
+}
+
+export { FileVectorStore, DEFAULT_INDEX_FILE };